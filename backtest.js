@@ -0,0 +1,251 @@
+// backtest.js — offline backtester for the autopilot momentum gates.
+// Replays recorded PumpPortal data (see PUMP_RECORD) through the same feed metrics,
+// candidate scoring and TP/SL exit rules the live bot uses, over a grid of gate values.
+//
+// Usage:
+//   node backtest.js --file recordings/pump-a.jsonl[,pump-b.jsonl] \
+//     [--grid minBuys15s=2,3,4] [--grid minChange30s=0.5,0.9] [--set maxOpen=3] \
+//     [--exit LADDER] [--strategy momentum] [--budget 0.02] [--autopilot-sec 60] [--monitor-sec 10] [--top 20] [--json]
+//
+// Base config: env gates (same as the bot), overlaid with ./autopilot.json if present (--cfg to change).
+// Candidates come from a strategy in ./strategies (default: the autopilot's active one, else momentum).
+// Grid keys may be any autopilot gate, plus cooldownMin and exit-profile overrides:
+// slPct, trailPct, trailActivatePct, breakevenAfter, maxHoldMin, decayGraceSec, decayMinBuys1m,
+// decayNegChgSec, tpPct (sets every ladder step's trigger).
+
+import 'dotenv/config';
+import fs from 'fs';
+import { createFeed } from './lib/feed.js';
+import { readRecords } from './lib/recorder.js';
+import { gatesFromEnv } from './lib/signals.js';
+import { loadStrategies, rankCandidates } from './lib/strategies.js';
+import { loadExitProfiles, instantiateExit, evaluateExit, resolveExitName, sellAmountRaw } from './lib/exits.js';
+import { createFillModel } from './lib/paper.js';
+
+// -------------------- ARGS --------------------
+function parseArgs(argv) {
+  const out = { grid: [], set: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    const hasVal = next != null && !next.startsWith('--');
+    if (key === 'grid' || key === 'set') { if (hasVal) out[key].push(next); i++; continue; }
+    out[key] = hasVal ? next : true;
+    if (hasVal) i++;
+  }
+  return out;
+}
+
+function parseKv(s) {
+  const [k, v = ''] = String(s).split('=');
+  return [k.trim(), v.split(',').map(x => x.trim()).filter(Boolean).map(Number)];
+}
+
+// Cartesian product of { key: [values] }
+function combos(grid) {
+  let out = [{}];
+  for (const [k, vals] of Object.entries(grid)) {
+    out = out.flatMap(c => vals.map(v => ({ ...c, [k]: v })));
+  }
+  return out;
+}
+
+const EXIT_OVERRIDES = [
+  'slPct', 'trailPct', 'trailActivatePct', 'breakevenAfter',
+  'maxHoldMin', 'decayGraceSec', 'decayMinBuys1m', 'decayNegChgSec'
+];
+
+// Exit overrides come from --set (base) or the grid (params)
+// A strategy may pick its own exit profile per candidate; otherwise --exit / the saved default.
+function exitFor(params, opts, exitName = opts.exitName) {
+  const src = { ...opts.base, ...params };
+  const profile = opts.profiles[exitName];
+  const overrides = {};
+  for (const k of EXIT_OVERRIDES) if (src[k] != null) overrides[k] = src[k];
+  if (src.tpPct != null) overrides.ladder = (profile.ladder || []).map(s => ({ ...s, atPct: src.tpPct }));
+  return instantiateExit(exitName, profile, overrides);
+}
+
+// -------------------- SIMULATION --------------------
+function simulate(records, params, opts) {
+  const cfg = {
+    ...opts.base,
+    ...params,
+    blacklist: opts.base.blacklist || [],
+    lastTried: {},
+    cooldownMs: params.cooldownMin != null ? params.cooldownMin * 60000 : opts.base.cooldownMs
+  };
+
+  let clock = records.length ? records[0].ts : 0;
+  const feed = createFeed({ now: () => clock });
+  const fills = opts.fills;
+
+  const positions = {};
+  const trades = [];
+  let lastBuyAt = 0;
+  let equity = 0, peak = 0, maxDd = 0;
+
+  const priceOf = (mint) => feed.byMint.get(mint)?.lastPriceSol || 0;
+
+  function sell(mint, fraction, reason) {
+    const p = positions[mint];
+    const px = priceOf(mint);
+    const raw = sellAmountRaw(p.heldRaw, fraction);
+    if (raw <= 0n || px <= 0) return;
+    p.outSol += Number(fills.sellLamports(px, raw)) / 1e9;
+    p.heldRaw -= raw;
+    if (p.heldRaw > 0n) return;
+
+    const pnl = p.outSol - p.entrySolSpent;
+    trades.push({ mint, pnl, pnlPct: (pnl / p.entrySolSpent) * 100, holdMs: clock - p.openedAt, reason });
+    delete positions[mint];
+    equity += pnl;
+    peak = Math.max(peak, equity);
+    maxDd = Math.max(maxDd, peak - equity);
+  }
+
+  function monitorTick() {
+    for (const mint of Object.keys(positions)) {
+      const p = positions[mint];
+      const px = priceOf(mint);
+      if (px <= 0) continue;
+      const estSol = Number(fills.sellLamports(px, p.heldRaw)) / 1e9;
+      const pnlPct = ((estSol + p.outSol - p.entrySolSpent) / p.entrySolSpent) * 100;
+      const { state, exit } = evaluateExit(p, { pnlPct, mark: px, metrics: feed.metrics(mint), now: clock, ageMs: clock - p.openedAt });
+      p.exit.state = state;
+      if (!exit) continue;
+      sell(mint, exit.fraction, exit.trigger);
+      if (positions[mint]) Object.assign(p.exit.state, exit.after);
+    }
+  }
+
+  function autopilotTick() {
+    if (clock - lastBuyAt < cfg.cooldownMs) return;
+    const candidates = rankCandidates({ feed, cfg, positions, strategy: opts.strategy, now: clock });
+    for (const { mint, exitProfile } of candidates) {
+      cfg.lastTried[mint] = clock;
+      const px = priceOf(mint);
+      if (px <= 0) continue;
+      const outRaw = fills.buyRaw(px, opts.budget);
+      if (outRaw <= 0n) continue;
+      positions[mint] = {
+        mint, exit: exitFor(params, opts, resolveExitName(exitProfile, opts.profiles, opts.exitName)),
+        entrySolSpent: opts.budget + fills.txFeeSol,
+        heldRaw: outRaw, outSol: 0, openedAt: clock
+      };
+      lastBuyAt = clock;
+      break; // one buy per cooldown
+    }
+  }
+
+  let nextMonitor = clock + opts.monitorMs;
+  let nextAutopilot = clock + opts.autopilotMs;
+  for (const rec of records) {
+    // Fire any loop ticks that were due before this message arrived
+    while (Math.min(nextMonitor, nextAutopilot) <= rec.ts) {
+      if (nextMonitor <= nextAutopilot) { clock = nextMonitor; monitorTick(); nextMonitor += opts.monitorMs; }
+      else { clock = nextAutopilot; autopilotTick(); nextAutopilot += opts.autopilotMs; }
+    }
+    clock = rec.ts;
+    feed.ingest(rec.msg, rec.ts);
+  }
+
+  // Mark anything still open at the last seen price
+  for (const mint of Object.keys(positions)) sell(mint, 1, 'eod');
+
+  const wins = trades.filter(t => t.pnl > 0).length;
+  return {
+    params,
+    trades: trades.length,
+    winRate: trades.length ? (wins / trades.length) * 100 : 0,
+    pnlSol: equity,
+    maxDrawdownSol: maxDd,
+    avgPnlPct: trades.length ? trades.reduce((a, t) => a + t.pnlPct, 0) / trades.length : 0,
+    avgHoldSec: trades.length ? trades.reduce((a, t) => a + t.holdMs, 0) / trades.length / 1000 : 0
+  };
+}
+
+// -------------------- MAIN --------------------
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node backtest.js --file <recording.jsonl[,more.jsonl]> [--grid key=v1,v2]... [--set key=v]... [--budget SOL] [--json]');
+    process.exit(1);
+  }
+
+  const cfgFile = args.cfg || './autopilot.json';
+  let saved = {};
+  try { if (fs.existsSync(cfgFile)) saved = JSON.parse(fs.readFileSync(cfgFile, 'utf-8')); } catch {}
+  const base = {
+    maxOpen: Number(process.env.AUTOPILOT_MAX_OPEN_POSITIONS || '3'),
+    cooldownMs: Number(process.env.AUTOPILOT_COOLDOWN_MIN || '30') * 60000,
+    blacklist: [],
+    ...gatesFromEnv(process.env),
+    ...saved
+  };
+  for (const s of args.set) {
+    const [k, [v]] = parseKv(s);
+    if (k === 'cooldownMin') base.cooldownMs = v * 60000; else base[k] = v;
+  }
+
+  const grid = {};
+  for (const g of args.grid) {
+    const [k, vals] = parseKv(g);
+    if (!k || !vals.length || vals.some(v => !isFinite(v))) { console.error(`Bad --grid ${g}`); process.exit(1); }
+    grid[k] = vals;
+  }
+
+  let profiles;
+  try { profiles = loadExitProfiles(process.env.EXIT_PROFILES_FILE || './exit-profiles.json'); }
+  catch (e) { console.error(`[Exit profiles] ${e.message}`); process.exit(1); }
+  const partialTp = String(process.env.PARTIAL_TP_ENABLED || 'false').toLowerCase() === 'true';
+  const exitName = String(args.exit || saved.exitProfile || process.env.DEFAULT_EXIT_PROFILE || (partialTp ? 'SCALP-PARTIAL' : 'SCALP')).toUpperCase();
+  if (!profiles[exitName]) { console.error(`Unknown exit profile ${exitName}`); process.exit(1); }
+
+  const strategies = await loadStrategies(args['strategies-dir'] || './strategies');
+  const strategyName = String(args.strategy || saved.strategy || 'momentum').toLowerCase();
+  const strategy = strategies.get(strategyName);
+  if (!strategy) { console.error(`Unknown strategy ${strategyName} (have: ${[...strategies.keys()].join(', ')})`); process.exit(1); }
+
+  const records = [];
+  for await (const rec of readRecords(args.file)) records.push(rec);
+  if (!records.length) { console.error('No records found.'); process.exit(1); }
+  records.sort((a, b) => a.ts - b.ts);
+
+  const opts = {
+    base,
+    budget: Number(args.budget ?? saved.budgetSol ?? process.env.AUTOPILOT_BUDGET_SOL_PER_BUY ?? '0.02'),
+    profiles,
+    exitName,
+    strategy,
+    monitorMs: Number(args['monitor-sec'] ?? process.env.POLL_SECONDS ?? '10') * 1000,
+    autopilotMs: Number(args['autopilot-sec'] ?? '60') * 1000,
+    fills: createFillModel({
+      slippageBps: Number(process.env.PAPER_SLIPPAGE_BPS || '150'),
+      feeBps: Number(process.env.PAPER_FEE_BPS || '100'),
+      txFeeSol: Number(process.env.PAPER_TX_FEE_SOL || '0.000105')
+    })
+  };
+
+  const spanMin = (records[records.length - 1].ts - records[0].ts) / 60000;
+  const all = combos(grid);
+  console.error(`[Backtest] ${records.length} messages over ${spanMin.toFixed(1)} min — ${all.length} combination(s), exit ${exitName}, strategy ${strategy.name}`);
+
+  const results = all.map(params => simulate(records, params, opts))
+    .sort((a, b) => b.pnlSol - a.pnlSol);
+
+  if (args.json) { console.log(JSON.stringify(results, null, 2)); return; }
+
+  const top = results.slice(0, Number(args.top || 20));
+  for (const r of top) {
+    const label = Object.entries(r.params).map(([k, v]) => `${k}=${v}`).join(' ') || '(base)';
+    console.log(
+      `${label.padEnd(48)} trades=${String(r.trades).padStart(4)}  win=${r.winRate.toFixed(1).padStart(5)}%  ` +
+      `pnl=${r.pnlSol.toFixed(4).padStart(9)} SOL  dd=${r.maxDrawdownSol.toFixed(4)}  avg=${r.avgPnlPct.toFixed(2)}%  hold=${r.avgHoldSec.toFixed(0)}s`
+    );
+  }
+}
+
+main().catch(e => { console.error('[Backtest]', e.message); process.exit(1); });
@@ -1,7 +1,9 @@
 // bot.js — Pump.fun-enabled thin-liquidity SCALP bot for Solana
 // Features: Auth, whoami/authstatus, sharded TP/SL monitor,
 // Autopilot (PumpPortal websocket signals), micro TF (15s/30s/1m/5m),
-// Trades via PumpPortal bonding curve with Jupiter fallback after migration.
+// Trades via PumpPortal bonding curve; migration-aware routing (PumpPortal AMM / Jupiter after graduation).
+// Paper mode (PAPER_TRADING=true) simulates fills from the feed against a virtual SOL balance.
+// Feed recorder (PUMP_RECORD) + replay (PUMP_REPLAY_FILE) for after-the-fact signal debugging.
 // Requires: npm i ws node-fetch telegraf bs58 @solana/web3.js dotenv
 
 import 'dotenv/config';
@@ -9,13 +11,35 @@ import fs from 'fs';
 import fetch from 'node-fetch';
 import bs58 from 'bs58';
 import WebSocket from 'ws';
-import { Telegraf } from 'telegraf';
+import { Telegraf, Markup } from 'telegraf';
 import {
   Connection,
   Keypair,
   PublicKey,
+  TransactionMessage,
   VersionedTransaction
 } from '@solana/web3.js';
+import { createFeed } from './lib/feed.js';
+import { createRecorder, createReplay } from './lib/recorder.js';
+import { gatesFromEnv, largestBuyPct } from './lib/signals.js';
+import { loadStrategies, rankCandidates, evaluateMint } from './lib/strategies.js';
+import { loadExitProfiles, instantiateExit, exitFromLegacy, evaluateExit, describeExit, exitProximity, carryExitState, resolveExitName, sellAmountRaw } from './lib/exits.js';
+import { createFillModel } from './lib/paper.js';
+import { fetchFill, combineFills } from './lib/fills.js';
+import { fetchBondingCurve, bondingCurvePda, quoteSell as curveQuoteSell } from './lib/pumpCurve.js';
+import { extractImpactPct, curveBuyImpactPct, sizeShard, adaptiveSlippageBps } from './lib/impact.js';
+import { txFromEnv, createTxSender, TxError, TX_TIMEOUT, TX_INSUFFICIENT_FUNDS, escalateSlippage } from './lib/txSender.js';
+import { buildBuyIxs, buildSellIxs, computeBudgetIxs, closeTokenAccountIx } from './lib/pumpNative.js';
+import { createLedger, newTradeId, buildTrades, summarize } from './lib/ledger.js';
+import { safetyFromEnv, scoreMintSafety } from './lib/safety.js';
+import { createSubscriptionManager } from './lib/pumpSubs.js';
+import { devWatchFromEnv, resolveWatchList, applyWatchedTrade, describeWatch } from './lib/devWatch.js';
+import { copyBuySol, applyLeaderTrade } from './lib/copyTrade.js';
+import { parseCondition, conditionMet, limitDirection, limitTriggered, describeOrder } from './lib/orders.js';
+import { listTokenAccounts, diffHoldings } from './lib/reconcile.js';
+import { createStore, createIdempotency } from './lib/store.js';
+import { riskFromEnv, checkBuy, checkTrips, exposureSol, dailyRealizedSol, lossStreak } from './lib/risk.js';
+import { accessFromEnv, roleOf, hasRole, requiredRole, parseCommand, parseEvents, ROLES, EVENTS } from './lib/access.js';
 
 import dns from 'node:dns';
 dns.setDefaultResultOrder('ipv4first');
@@ -26,36 +50,42 @@ const {
   RPC_URL = 'https://api.mainnet-beta.solana.com',
   WALLET_PRIVATE_KEY_BASE58,
   TELEGRAM_BOT_TOKEN,
-  TELEGRAM_ALLOWED_USER_ID = '',
-  TELEGRAM_ALLOWED_CHAT_ID = '',
+  // Access env (TELEGRAM_ALLOWED_USER_ID = admins, TELEGRAM_ALLOWED_CHAT_ID + TELEGRAM_CHAT_ROLE for whole chats)
+  // is read in lib/access.js; further users and notification subscribers live in users.json (/users).
   DEBUG_IDS = 'false',
 
   MAX_SLIPPAGE_BPS = '300',
   DEFAULT_BUY_SOL = '0.05',
   POLL_SECONDS = '10',
+  RECONCILE_ON_START = 'true',            // compare wallet token accounts with positions.json at startup (live only)
+  // Event-driven mode: every tokenTrade re-checks that mint (exits if held, autopilot entry if not).
+  // The POLL_SECONDS monitor and the 60s autopilot loop keep running as a fallback.
+  EVENT_DRIVEN = 'true',
+  EVENT_DEBOUNCE_MS = '750',              // coalesce a burst of trades on one mint into one check
 
   // Autopilot defaults (persisted to autopilot.json on first run)
   AUTOPILOT_ENABLED = 'false',
   AUTOPILOT_BUDGET_SOL_PER_BUY = '0.02',
   AUTOPILOT_MAX_OPEN_POSITIONS = '3',
-  // Dex liquidity/volume filters don't exist pre-migration; we use momentum gates instead.
-  AUTOPILOT_MIN_5M_BUY_TX = '20',
-  AUTOPILOT_MIN_5M_PRICE_CHANGE_PCT = '4',
   AUTOPILOT_COOLDOWN_MIN = '30',
   AUTOPILOT_BLACKLIST = '',
-
-  // Short-timeframe momentum
-  AUTOPILOT_MIN_1M_PRICE_CHANGE_PCT = '2',
-  AUTOPILOT_MIN_1M_BUY_TX = '6',
-  AUTOPILOT_MOMO_WEIGHT = '1.8',
-
-  // NEW: sub-minute gates
-  AUTOPILOT_MIN_30S_PRICE_CHANGE_PCT = '0.9',
-  AUTOPILOT_MIN_30S_BUY_TX = '4',
-  AUTOPILOT_MIN_15S_PRICE_CHANGE_PCT = '0.6',
-  AUTOPILOT_MIN_15S_BUY_TX = '3',
-
-  PARTIAL_TP_ENABLED = 'false',
+  AUTOPILOT_STRATEGY = 'momentum',        // candidate strategy from STRATEGIES_DIR (/strategy use <name>)
+  STRATEGIES_DIR = './strategies',
+  // Risk limit env (RISK_ENABLED, RISK_MAX_EXPOSURE_SOL, RISK_DAILY_LOSS_LIMIT_SOL, RISK_MIN_RESERVE_SOL,
+  // RISK_MAX_CONSEC_LOSSES, RISK_PAUSE_MIN) is read in lib/risk.js; persisted to risk.json on first run.
+  // Dex liquidity/volume filters don't exist pre-migration; we use momentum gates instead.
+  // Gate env (AUTOPILOT_MIN_{15S,30S,1M,5M}_{BUY_TX,PRICE_CHANGE_PCT}, AUTOPILOT_MOMO_WEIGHT, the 1m flow gates,
+  // curve-progress/mcap bounds and AUTOPILOT_FLOW_WEIGHT) is read in lib/signals.js.
+  // Dev-dump watch env (DEVWATCH_ENABLED, DEVWATCH_SELL_PCT, DEVWATCH_TOP_HOLDERS) is read in lib/devWatch.js.
+
+  PARTIAL_TP_ENABLED = 'false',          // legacy: picks SCALP-PARTIAL as the default exit profile
+  EXIT_PROFILES_FILE = './exit-profiles.json',
+  DEFAULT_EXIT_PROFILE = '',
+  // Stale-trade exits applied to any profile that doesn't set its own (empty = off)
+  EXIT_MAX_HOLD_MIN = '',
+  EXIT_DECAY_GRACE_SEC = '',
+  EXIT_DECAY_MIN_BUYS_1M = '',
+  EXIT_DECAY_NEG_CHG_SEC = '',
 
   // Jupiter proxy (unchanged)
   JUPITER_BASE = 'https://quote-api.jup.ag/v6',
@@ -65,29 +95,75 @@ const {
   PUMPPORTAL_API_KEY = '',
   USE_PUMPPORTAL_TRADE = 'true',
   PUMPPORTAL_DEFAULT_SLIPPAGE = '10',     // percent
-  PUMPPORTAL_PRIORITY_FEE = '0.00005'     // SOL
+  PUMPPORTAL_PRIORITY_FEE = '0.00005',    // SOL; fixed fee when PRIORITY_FEE_DYNAMIC=false (or the estimate fails)
+  // Tx sender env (PRIORITY_FEE_DYNAMIC, PRIORITY_FEE_PERCENTILE, PRIORITY_FEE_MIN_SOL, PRIORITY_FEE_MAX_SOL,
+  // TX_REBROADCAST_MS, TX_CONFIRM_TIMEOUT_SEC, TX_SLIPPAGE_RETRIES) is read in lib/txSender.js.
+  PUMP_PING_SEC = '20',                   // websocket ping interval
+  PUMP_STALE_SEC = '60',                  // no messages for this long → socket is dead, reconnect
+  PUMP_IDLE_EVICT_MIN = '10',             // unsubscribe + forget mints with no trades for this long (held mints exempt)
+  POST_MIGRATION_EXIT_PROFILE = '',       // swap held positions to this exit profile when they migrate (empty = keep)
+  PUMP_FEE_BPS = '100',                   // pump.fun curve fee used for local quotes
+  PUMP_FEE_RECIPIENT = '',                // override the pump.fun fee recipient (native route)
+  // Trade route: pumpportal | native | jupiter (Jupiter is always the fallback).
+  // Unset → pumpportal when USE_PUMPPORTAL_TRADE=true, else jupiter. Native shares the PumpPortal slippage/priority fee.
+  TRADE_ROUTE = '',
+
+  // Paper trading: simulated fills at the feed price, virtual SOL balance
+  PAPER_TRADING = 'false',
+  PAPER_START_SOL = '5',
+  PAPER_SLIPPAGE_BPS = '150',
+  PAPER_FEE_BPS = '100',                  // pump.fun curve fee (1%)
+  PAPER_TX_FEE_SOL = '0.000105',          // base fee + priority fee per tx
+
+  // Feed recording / replay (replay replaces the live socket; requires paper mode)
+  PUMP_RECORD = 'false',
+  PUMP_RECORD_DIR = './recordings',
+  PUMP_RECORD_ROTATE_MB = '64',
+  PUMP_REPLAY_FILE = '',                  // comma-separated JSONL files
+  PUMP_REPLAY_SPEED = '1'                 // 0 = as fast as possible
 } = process.env;
 
 // -------------------- GUARDS --------------------
 if (!WALLET_PRIVATE_KEY_BASE58) { console.error('Missing WALLET_PRIVATE_KEY_BASE58'); process.exit(1); }
 if (!TELEGRAM_BOT_TOKEN) { console.error('Missing TELEGRAM_BOT_TOKEN'); process.exit(1); }
 
-// -------------------- AUTH --------------------
-const USER_ALLOWLIST = TELEGRAM_ALLOWED_USER_ID.split(',').map(s => s.trim()).filter(Boolean);
-const CHAT_ALLOWLIST = TELEGRAM_ALLOWED_CHAT_ID.split(',').map(s => s.trim()).filter(Boolean);
-function allowed(ctx) {
-  const fromId = String(ctx.from?.id || '');
-  const chatId = String(ctx.chat?.id || '');
-  const userOk = USER_ALLOWLIST.includes(fromId);
-  const chatOk = CHAT_ALLOWLIST.includes(chatId);
-  return userOk || chatOk;
+// -------------------- AUTH (roles, see lib/access.js) --------------------
+let ACCESS;
+try { ACCESS = accessFromEnv(); } catch (e) { console.error(e.message); process.exit(1); }
+function roleFor(ctx) {
+  return roleOf({ userId: String(ctx.from?.id || ''), chatId: String(ctx.chat?.id || '') }, ACL.users, ACCESS);
 }
+// The command (or button prefix) decides the role needed; see requiredRole.
 function authGuard(handler) {
   return (ctx) => {
-    if (!allowed(ctx)) return ctx.reply('Not authorized.');
+    const cb = ctx.callbackQuery;
+    const [name, sub] = cb ? [String(cb.data).split(':')[0], ''] : parseCommand(ctx.message?.text);
+    const need = requiredRole(name, sub, { action: Boolean(cb) });
+    const role = roleFor(ctx);
+    if (!hasRole(role, need)) {
+      const msg = role ? `Not allowed: needs ${need} (you are ${role}).` : 'Not authorized.';
+      return cb ? ctx.answerCbQuery(msg) : ctx.reply(msg);
+    }
     return handler(ctx);
   };
 }
+// Commands that change state run at most once per Telegram message (see idem below); a button tap
+// at most once per callback query (unique per tap, repeated on redelivery — so the same button on a
+// refreshed /status card still works the next time it's tapped).
+function idempotent(handler) {
+  return async (ctx) => {
+    const cb = ctx.callbackQuery;
+    const key = cb ? `cb:${cb.id}` : `${ctx.chat?.id}:${ctx.message?.message_id}`;
+    if (!idem.begin(key)) {
+      console.warn(`[Idem] duplicate command ${key} ignored`);
+      // A redelivered tap: stop the client spinner and say why nothing happens
+      if (cb) await ctx.answerCbQuery(`Already ${idem.keys[key]?.status === 'pending' ? 'in progress' : 'done'}.`).catch(() => {});
+      return;
+    }
+    try { await handler(ctx); idem.finish(key); }
+    catch (e) { idem.finish(key, 'failed', e.message); throw e; }
+  };
+}
 
 // -------------------- KEYPAIR --------------------
 let keypair;
@@ -102,14 +178,17 @@ console.log('Bot wallet public key:', keypair.publicKey.toBase58());
 
 // -------------------- BASE SETUP --------------------
 const connection = new Connection(RPC_URL, 'confirmed');
+const sender = createTxSender({ connection, cfg: txFromEnv() });
 const bot = new Telegraf(TELEGRAM_BOT_TOKEN);
 const WSOL_MINT = 'So11111111111111111111111111111111111111112';
-
-// Hard-coded SCALP triggers
-const SCALP_TP_PCT = 5;   // take profit +5%
-const SCALP_SL_PCT = 1.5; // stop loss -1.5%
-
-// Thin-liquidity tuning (env-driven caps)
+const PUMP_TOKEN_DECIMALS = 6; // every pump.fun mint uses 6 decimals
+const PAPER = String(PAPER_TRADING).toLowerCase() === 'true';
+const TRADE_ROUTES = ['pumpportal', 'native', 'jupiter'];
+const TRADE_ROUTE_DEFAULT = (TRADE_ROUTE ||
+  (String(USE_PUMPPORTAL_TRADE || 'true').toLowerCase() === 'true' ? 'pumpportal' : 'jupiter')).toLowerCase();
+if (!TRADE_ROUTES.includes(TRADE_ROUTE_DEFAULT)) { console.error(`Invalid TRADE_ROUTE: ${TRADE_ROUTE}`); process.exit(1); }
+
+// Thin-liquidity tuning (env-driven caps): impact-sized entry shards + the Jupiter shard-sell
 const THIN = {
   SLIPPAGE_BASE: Number(process.env.THIN_MAX_SLIPPAGE_BPS_BASE || '200'),
   SLIPPAGE_CAP: Number(process.env.THIN_MAX_SLIPPAGE_BPS_CAP || '500'),
@@ -129,17 +208,86 @@ if (String(DEBUG_IDS).toLowerCase() === 'true') {
   });
 }
 
-// -------------------- PERSISTENCE --------------------
-const POSITIONS_FILE = './positions.json';
-function loadPositions() {
-  try { if (!fs.existsSync(POSITIONS_FILE)) return {}; return JSON.parse(fs.readFileSync(POSITIONS_FILE,'utf-8')); }
-  catch { return {}; }
+// -------------------- PERSISTENCE (atomic writes + schema versions, see lib/store.js) --------------------
+// A state file we can't read stops the bot: starting from {} would orphan every open position.
+function loadOrExit(store) {
+  try { return store.load(); }
+  catch (e) { console.error(`[Store] ${e.message}`); process.exit(1); }
 }
-function savePositions() {
-  fs.writeFileSync(POSITIONS_FILE, JSON.stringify(positions, null, 2));
+
+// Every save fsyncs the file and its directory, so advisory fields (last mark/PnL, retry timestamps) that change on each
+// feed tick are coalesced into one trailing save per window; real state changes still save at once.
+const LAZY_SAVE_MS = 30_000;
+function lazySave(save) {
+  let timer = null;
+  return () => {
+    if (timer) return;
+    timer = setTimeout(() => { timer = null; save(); }, LAZY_SAVE_MS);
+    timer.unref();
+  };
 }
+
+const POSITIONS_FILE = './positions.json';
+const positionsStore = createStore(POSITIONS_FILE, {
+  version: 1,
+  migrations: {
+    // v1: versioned envelope; every position carries its mint, a sell list and realized SOL
+    1: (legacy) => Object.fromEntries(Object.entries(legacy || {}).map(([mint, p]) => [mint, { exits: [], realizedSol: 0, ...p, mint }]))
+  }
+});
+function loadPositions() { return loadOrExit(positionsStore); }
+function savePositions() { positionsStore.save(positions); }
+const savePositionsLazy = lazySave(savePositions);
 let positions = loadPositions(); // keyed by mint
-let lastChatId = null;
+
+// Idempotency keys for state-changing commands (chat + message id): a redelivered update can't act twice.
+const IDEMPOTENCY_FILE = './idempotency.jsonl';
+const idem = (() => {
+  try { return createIdempotency(IDEMPOTENCY_FILE); }
+  catch (e) { console.error(`[Store] ${e.message}`); process.exit(1); }
+})();
+// Users granted a role from Telegram, and who gets which notifications ({ chatId: { events } }).
+// A fresh file subscribes the env admins (their private chats) and allowed chats to everything.
+const USERS_FILE = './users.json';
+const usersStore = createStore(USERS_FILE, {
+  fallback: () => ({
+    users: {},
+    subscribers: Object.fromEntries([...new Set([...ACCESS.admins, ...ACCESS.chats])]
+      .map(id => [id, { events: [...EVENTS], addedAt: new Date().toISOString() }]))
+  })
+});
+const ACL = loadOrExit(usersStore);
+function saveAcl() { usersStore.save(ACL); }
+
+// `event` is one of EVENTS; `extra` is passed to sendMessage (e.g. an inline keyboard).
+function notify(event, text, extra = {}) {
+  for (const [chatId, sub] of Object.entries(ACL.subscribers)) {
+    if (!sub.events.includes(event)) continue;
+    bot.telegram.sendMessage(chatId, text, extra).catch(e => console.error(`[Notify] ${chatId}:`, e.message));
+  }
+}
+
+// --- EXIT PROFILES (built-ins + optional JSON file) ---
+const PARTIAL_TP = String(PARTIAL_TP_ENABLED || 'false').toLowerCase() === 'true';
+const optNum = (v) => (v === '' || v == null ? null : Number(v));
+const EXIT_PROFILES = (() => {
+  try {
+    return loadExitProfiles(EXIT_PROFILES_FILE, {
+      maxHoldMin: optNum(EXIT_MAX_HOLD_MIN),
+      decayGraceSec: optNum(EXIT_DECAY_GRACE_SEC),
+      decayMinBuys1m: optNum(EXIT_DECAY_MIN_BUYS_1M),
+      decayNegChgSec: optNum(EXIT_DECAY_NEG_CHG_SEC)
+    });
+  } catch (e) { console.error(`[Exit profiles] ${e.message}`); process.exit(1); }
+})();
+const DEFAULT_EXIT = (DEFAULT_EXIT_PROFILE || (PARTIAL_TP ? 'SCALP-PARTIAL' : 'SCALP')).toUpperCase();
+if (!EXIT_PROFILES[DEFAULT_EXIT]) { console.error(`Unknown DEFAULT_EXIT_PROFILE: ${DEFAULT_EXIT}`); process.exit(1); }
+
+function makeExit(name = DEFAULT_EXIT) {
+  const key = String(name).toUpperCase();
+  if (!EXIT_PROFILES[key]) throw new Error(`Unknown exit profile: ${name} (have: ${Object.keys(EXIT_PROFILES).join(', ')})`);
+  return instantiateExit(key, EXIT_PROFILES[key]);
+}
 
 // --- AUTOPILOT CONFIG (persistent file) ---
 const AUTOPILOT_CFG_FILE = './autopilot.json';
@@ -147,34 +295,75 @@ const AUTOPILOT_DEFAULTS = {
   enabled: String(AUTOPILOT_ENABLED).toLowerCase() === 'true',
   budgetSol: Number(AUTOPILOT_BUDGET_SOL_PER_BUY),
   maxOpen: Number(AUTOPILOT_MAX_OPEN_POSITIONS),
-  // Momentum gates only (pre-migration)
-  minBuys5m: Number(AUTOPILOT_MIN_5M_BUY_TX),
-  minChange5m: Number(AUTOPILOT_MIN_5M_PRICE_CHANGE_PCT),
   cooldownMs: Number(AUTOPILOT_COOLDOWN_MIN) * 60 * 1000,
   blacklist: (AUTOPILOT_BLACKLIST || '').split(',').map(s => s.trim()).filter(Boolean),
   lastBuyAt: 0,
   lastTried: {}, // mint -> ts
+  exitProfile: DEFAULT_EXIT,
+  strategy: AUTOPILOT_STRATEGY.toLowerCase(),
+  shadowStrategies: [], // names that only log what they would have bought
 
-  // Short-term gates
-  minChange1m: Number(AUTOPILOT_MIN_1M_PRICE_CHANGE_PCT),
-  minBuys1m: Number(AUTOPILOT_MIN_1M_BUY_TX),
-  momoWeight: Number(AUTOPILOT_MOMO_WEIGHT),
+  // Momentum gates (15s/30s/1m/5m) + momo weight
+  ...gatesFromEnv(process.env),
 
-  // Sub-minute gates
-  minChange30s: Number(AUTOPILOT_MIN_30S_PRICE_CHANGE_PCT),
-  minBuys30s: Number(AUTOPILOT_MIN_30S_BUY_TX),
-  minChange15s: Number(AUTOPILOT_MIN_15S_PRICE_CHANGE_PCT),
-  minBuys15s: Number(AUTOPILOT_MIN_15S_BUY_TX)
+  // Pre-buy safety checks (AUTOPILOT_SAFETY_* / AUTOPILOT_MAX_*_PCT env, see lib/safety.js)
+  ...safetyFromEnv(process.env)
 };
+const autopilotStore = createStore(AUTOPILOT_CFG_FILE);
 function loadAutopilotCfg() {
-  try {
-    if (!fs.existsSync(AUTOPILOT_CFG_FILE)) return { ...AUTOPILOT_DEFAULTS };
-    const raw = JSON.parse(fs.readFileSync(AUTOPILOT_CFG_FILE, 'utf-8'));
-    return { ...AUTOPILOT_DEFAULTS, ...raw, lastTried: raw.lastTried || {} };
-  } catch { return { ...AUTOPILOT_DEFAULTS }; }
+  const raw = loadOrExit(autopilotStore);
+  return { ...AUTOPILOT_DEFAULTS, ...raw, lastTried: raw.lastTried || {} };
 }
-function saveAutopilotCfg() { fs.writeFileSync(AUTOPILOT_CFG_FILE, JSON.stringify(AUTOPILOT, null, 2)); }
+function saveAutopilotCfg() { autopilotStore.save(AUTOPILOT); }
+const saveAutopilotCfgLazy = lazySave(saveAutopilotCfg);
 const AUTOPILOT = loadAutopilotCfg();
+if (!EXIT_PROFILES[AUTOPILOT.exitProfile]) AUTOPILOT.exitProfile = DEFAULT_EXIT;
+
+// --- STRATEGIES (one module per file in STRATEGIES_DIR; see lib/strategies.js) ---
+let STRATEGIES = await loadStrategies(STRATEGIES_DIR);
+if (!STRATEGIES.size) { console.error(`No strategies found in ${STRATEGIES_DIR}`); process.exit(1); }
+if (!STRATEGIES.has(AUTOPILOT.strategy)) {
+  console.warn(`[Strategy] unknown "${AUTOPILOT.strategy}", falling back to ${STRATEGIES.has('momentum') ? 'momentum' : [...STRATEGIES.keys()][0]}`);
+  AUTOPILOT.strategy = STRATEGIES.has('momentum') ? 'momentum' : [...STRATEGIES.keys()][0];
+}
+AUTOPILOT.shadowStrategies = (AUTOPILOT.shadowStrategies || []).filter(n => STRATEGIES.has(n));
+const activeStrategy = () => STRATEGIES.get(AUTOPILOT.strategy);
+
+// --- TRADE LEDGER (append-only; survives position deletion) ---
+const LEDGER_FILE = './ledger.jsonl';
+const ledger = createLedger(LEDGER_FILE);
+const ledgerTrades = () => buildTrades(ledger.entries).filter(t => t.paper === PAPER);
+
+// --- RISK LIMITS (persistent file) ---
+const RISK_CFG_FILE = './risk.json';
+const riskStore = createStore(RISK_CFG_FILE);
+function loadRiskCfg() { return { ...riskFromEnv(process.env), ...loadOrExit(riskStore) }; }
+function saveRiskCfg() { riskStore.save(RISK); }
+const RISK = loadRiskCfg();
+
+function tripRisk({ reason, pausedUntil }) {
+  RISK.pausedUntil = pausedUntil; RISK.trippedReason = reason; saveRiskCfg();
+  const wasOn = AUTOPILOT.enabled;
+  if (wasOn) { AUTOPILOT.enabled = false; saveAutopilotCfg(); }
+  console.warn('[Risk] tripped:', reason);
+  notify('errors', `🛑 Risk limit tripped: ${reason}\nBuys paused until ${new Date(pausedUntil).toISOString()}.${wasOn ? '\nAutopilot disabled.' : ''}\nUse /risk resume to clear.`);
+}
+
+// Every buy path goes through smartBuy, which calls this first.
+async function riskGate(amountSol) {
+  if (!RISK.enabled) return;
+  const balanceSol = PAPER ? paper.sol : (await connection.getBalance(keypair.publicKey)) / 1e9;
+  const r = checkBuy({ cfg: RISK, positions, trades: ledgerTrades(), balanceSol, amountSol });
+  if (r.trip) tripRisk(r.trip);
+  if (!r.ok) throw new Error(`Risk: ${r.reason}`);
+}
+
+// Re-check pause limits as soon as a trade closes rather than waiting for the next buy.
+function riskAfterClose() {
+  if (!RISK.enabled || RISK.pausedUntil > Date.now()) return;
+  const trip = checkTrips({ cfg: RISK, trades: ledgerTrades() });
+  if (trip) tripRisk(trip);
+}
 
 // -------------------- JUPITER HELPERS --------------------
 const JUP_BASE = (JUPITER_BASE || '').replace(/\/$/, '');
@@ -202,7 +391,9 @@ async function jupQuote({ inputMint, outputMint, amountRaw, slippageBps }) {
   return normalizeQuote(data);
 }
 
-async function jupBuildAndSend({ quoteResponse }) {
+// Returns { sig, latencyMs } once the swap lands (TxError otherwise).
+async function jupBuildAndSend({ quoteResponse, mint }) {
+  const feeSol = await sender.priorityFeeSol({ accounts: feeAccountsFor(mint), units: 200_000 });
   const res = await fetch(JUP_BASE + '/swap', {
     method: 'POST',
     headers: { 'content-type': 'application/json' },
@@ -210,7 +401,8 @@ async function jupBuildAndSend({ quoteResponse }) {
       quoteResponse,
       userPublicKey: keypair.publicKey.toBase58(),
       wrapAndUnwrapSol: true,
-      dynamicComputeUnitLimit: true
+      dynamicComputeUnitLimit: true,
+      prioritizationFeeLamports: Math.round(feeSol * 1e9)
     })
   });
 
@@ -220,15 +412,19 @@ async function jupBuildAndSend({ quoteResponse }) {
   let data;
   try { data = JSON.parse(text); } catch { throw new Error('Swap JSON parse failed'); }
 
-  const { swapTransaction } = data;
+  const { swapTransaction, lastValidBlockHeight } = data;
   if (!swapTransaction) throw new Error('No swapTransaction in response');
 
   const tx = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
   tx.sign([keypair]);
-  const sig = await connection.sendTransaction(tx, { skipPreflight: true, maxRetries: 3 });
-  const conf = await connection.confirmTransaction(sig, 'confirmed');
-  if (conf.value.err) throw new Error(`Swap failed: ${JSON.stringify(conf.value.err)}`);
-  return sig;
+  return sender.send(tx, { route: 'jupiter', lastValidBlockHeight: lastValidBlockHeight ?? null });
+}
+
+// Accounts whose recent fees price our priority fee: the bonding curve while the token is on it.
+function feeAccountsFor(mint) {
+  if (!mint) return [];
+  const phase = mintPhase(mint);
+  return !phase || phase === 'curve' ? [bondingCurvePda(mint)] : [];
 }
 
 // -------------------- CHAIN HELPERS --------------------
@@ -239,6 +435,7 @@ async function verifyMintExists(mint) {
   return true;
 }
 async function getTokenRawBalance(mint) {
+  if (PAPER) return BigInt(paper.holdings[mint] || '0');
   const ataList = await connection.getParsedTokenAccountsByOwner(
     keypair.publicKey,
     { mint: new PublicKey(mint) }
@@ -250,6 +447,7 @@ async function getTokenRawBalance(mint) {
 }
 async function estimateSolForToken({ mint, amountRaw }) {
   if (amountRaw <= 0n) return 0n;
+  if (PAPER) return paperQuoteSell({ mint, amountRaw });
   const route = await jupQuote({
     inputMint: mint,
     outputMint: WSOL_MINT,
@@ -259,98 +457,612 @@ async function estimateSolForToken({ mint, amountRaw }) {
   return BigInt(route.outAmount);
 }
 
+// Mark value for a holding: local bonding-curve quote while the token is on the curve,
+// Jupiter once it has migrated (or if it was never a pump.fun mint).
+const curveDone = new Set(); // mints whose curve completed or doesn't exist — skip the RPC read
+async function quoteSellValue({ mint, amountRaw }) {
+  if (amountRaw <= 0n) return { lamports: 0n, source: 'none' };
+  if (PAPER) return { lamports: paperQuoteSell({ mint, amountRaw }), source: 'paper' };
+  if (!curveDone.has(mint)) {
+    const curve = await fetchBondingCurve(connection, mint);
+    if (curve && !curve.complete) {
+      return { lamports: curveQuoteSell(curve, amountRaw, Number(PUMP_FEE_BPS)), source: 'curve' };
+    }
+    if (curve?.complete) setPhase(mint, 'migrating');
+    curveDone.add(mint);
+  }
+  return { lamports: await estimateSolForToken({ mint, amountRaw }), source: 'jupiter' };
+}
+
 // -------------------- PUMPPORTAL REALTIME SIGNAL ENGINE --------------------
 const PUMP_WSS = PUMPPORTAL_WSS || 'wss://pumpportal.fun/api/data';
-const feed = {
-  // mint -> { lastPriceSol, trades: [{ts, side, priceSol, amountSol}] }
-  byMint: new Map(),
-  metrics(mint) {
-    const now = Date.now();
-    const b = this.byMint.get(mint);
-    if (!b) return null;
-    // Keep last 5 minutes
-    b.trades = b.trades.filter(t => now - t.ts <= 5*60*1000);
+const REPLAY = PUMP_REPLAY_FILE ? createReplay(PUMP_REPLAY_FILE, { speed: Number(PUMP_REPLAY_SPEED) }) : null;
+const feed = createFeed(REPLAY ? { now: () => REPLAY.now() } : {});
+const recorder = String(PUMP_RECORD).toLowerCase() === 'true'
+  ? createRecorder({ dir: PUMP_RECORD_DIR, maxBytes: Number(PUMP_RECORD_ROTATE_MB) * 1024 * 1024 })
+  : null;
+
+let pumpWs = null;
+const subs = createSubscriptionManager({
+  send: (payload) => {
+    if (pumpWs?.readyState !== WebSocket.OPEN) return false;
+    pumpWs.send(JSON.stringify(payload));
+    return true;
+  },
+  now: () => feed.now(),
+  isPinned: (mint) => Boolean(positions[mint]) || hasOpenOrders(mint)
+});
+// New-token + migration streams (we subscribe to trades for each new mint); held mints, including
+// ones restored from positions.json, are always subscribed. All of it goes out once the socket opens.
+subs.subscribeStream('subscribeNewToken');
+subs.subscribeStream('subscribeMigration');
+subs.subscribeTokens(Object.keys(positions));
 
-    const within = (ms) => b.trades.filter(t => now - t.ts <= ms);
+let reconnectDelay = 1500;
+function attachPumpPortal() {
+  const ws = new WebSocket(PUMP_WSS);
+  pumpWs = ws;
+  let heartbeat = null;
 
-    const m15 = within(15*1000);
-    const m30 = within(30*1000);
-    const m60 = within(60*1000);
-    const m300= within(5*60*1000);
+  ws.on('open', () => {
+    reconnectDelay = 1500;
+    subs.onOpen(); // restore every tracked key
+    // Ping keeps proxies from idling us out; a feed that has gone quiet for PUMP_STALE_SEC is treated as dead.
+    heartbeat = setInterval(() => {
+      if (Date.now() - subs.stats.lastMessageAt > Number(PUMP_STALE_SEC) * 1000) {
+        console.warn('[PumpPortal] stale feed — reconnecting');
+        return ws.terminate();
+      }
+      try { ws.ping(); } catch {}
+    }, Number(PUMP_PING_SEC) * 1000);
+  });
 
-    const priceNow = b.lastPriceSol ?? (m60[m60.length-1]?.priceSol ?? null);
+  ws.on('message', (raw) => {
+    try {
+      const msg = JSON.parse(raw.toString());
+      const ts = Date.now();
+      if (recorder) recorder.write(msg, ts);
 
-    function pctChange(arr) {
-      if (arr.length < 2) return 0;
-      const first = arr[0].priceSol;
-      const last  = arr[arr.length-1].priceSol;
-      if (!first || !last) return 0;
-      return ((last - first)/first)*100;
-    }
+      if (msg.message === 'newToken' && msg.mint) subs.subscribeTokens([msg.mint], ts);
+      handleFeedMessage(msg, ts);
+    } catch {}
+  });
+
+  ws.on('close', () => {
+    clearInterval(heartbeat);
+    subs.onClose();
+    if (pumpWs !== ws) return;
+    setTimeout(attachPumpPortal, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+  });
+  ws.on('error', (e) => { console.warn('[PumpPortal]', e.message); ws.terminate(); });
+}
+
+// Shared by the live socket and replay.
+function handleFeedMessage(msg, ts) {
+  const mint = feed.ingest(msg, ts);
+  subs.onMessage(mint, ts);
+  if (mint && positions[mint]) trackPhase(mint);
+  onWatchedTrade(msg);
+  onFollowedTrade(msg);
+  if (msg.message === 'tokenTrade') { checkOrders(mint); onTradeTick(mint); }
+}
+
+function subscribeMintTrades(mint) {
+  feed.bucket(mint);
+  subs.subscribeTokens([mint]);
+}
+
+// Quiet mints cost memory and socket bandwidth; drop them (held mints are pinned).
+function evictIdleMints() {
+  const evicted = subs.evictIdle(Number(PUMP_IDLE_EVICT_MIN) * 60 * 1000);
+  for (const mint of evicted) feed.byMint.delete(mint);
+  // Buckets that never got a subscription (replay, account-stream spillover) age out the same way
+  const cutoff = feed.now() - Number(PUMP_IDLE_EVICT_MIN) * 60 * 1000;
+  for (const [mint, b] of feed.byMint) {
+    if (positions[mint] || subs.tokens.has(mint)) continue;
+    const last = b.trades[b.trades.length - 1]?.ts ?? b.createdAt ?? 0;
+    if (last < cutoff) feed.byMint.delete(mint);
+  }
+  if (evicted.length) console.log(`[PumpPortal] evicted ${evicted.length} idle mint(s); ${subs.tokens.size} subscribed`);
+}
+setInterval(evictIdleMints, 60 * 1000);
+
+// -------------------- PER-MINT GUARDS --------------------
+// One buy/sell/exit check per mint at a time. `wait: false` skips when busy (ticks, polls);
+// `wait: true` queues behind the action in flight (manual commands, dev-dump exits).
+const mintLocks = new Map(); // mint -> promise of the action in flight
+async function withMintLock(mint, fn, { wait = false } = {}) {
+  while (mintLocks.has(mint)) {
+    if (!wait) return null;
+    await mintLocks.get(mint).catch(() => {});
+  }
+  const run = fn();
+  mintLocks.set(mint, run);
+  try { return await run; } finally { if (mintLocks.get(mint) === run) mintLocks.delete(mint); }
+}
 
-    const buys = a => a.filter(t => t.side === 'buy').length;
+// Every buy/sell goes through withMintLock; a path that doesn't is a bug, not a race to allow.
+function assertMintLocked(mint) {
+  if (!mintLocks.has(mint)) throw new Error(`Trade on ${mint} outside its mint lock`);
+}
 
-    return {
-      priceNowSol: priceNow,
+// -------------------- MIGRATION LIFECYCLE: curve → migrating → migrated --------------------
+const PHASES = ['curve', 'migrating', 'migrated'];
+const POST_MIG_EXIT = POST_MIGRATION_EXIT_PROFILE.toUpperCase();
+if (POST_MIG_EXIT && !EXIT_PROFILES[POST_MIG_EXIT]) { console.error(`Unknown POST_MIGRATION_EXIT_PROFILE: ${POST_MIG_EXIT}`); process.exit(1); }
 
-      // Sub-minute
-      buys15s: buys(m15), chg15s: pctChange(m15),
-      buys30s: buys(m30), chg30s: pctChange(m30),
+// Best known phase: the feed's view, or what we last saw on a held position (null = unknown).
+function mintPhase(mint) {
+  const a = feed.byMint.get(mint)?.phase || null;
+  const b = positions[mint]?.phase || null;
+  return PHASES.indexOf(a) >= PHASES.indexOf(b) ? a : b;
+}
 
-      // Minute & 5m
-      buys1m: buys(m60), chg1m: pctChange(m60),
-      buys5m: buys(m300), chg5m: pctChange(m300)
-    };
+// Phases only move forward. Called from the feed (held mints) and from on-chain curve reads.
+function setPhase(mint, phase) {
+  const b = feed.bucket(mint);
+  if (PHASES.indexOf(phase) > PHASES.indexOf(b.phase)) {
+    b.phase = phase;
+    if (phase === 'migrated') b.migratedAt = b.migratedAt ?? feed.now();
   }
-};
+  if (positions[mint]) trackPhase(mint);
+}
 
-function attachPumpPortal() {
-  const ws = new WebSocket(PUMP_WSS);
+function trackPhase(mint) {
+  const p = positions[mint];
+  const phase = mintPhase(mint);
+  if (!p || !phase || phase === p.phase) return;
+  const prev = p.phase;
+  p.phase = phase;
+
+  let exitNote = '';
+  if (phase === 'migrated' && POST_MIG_EXIT && p.exit?.name !== POST_MIG_EXIT) {
+    const exit = makeExit(POST_MIG_EXIT);
+    exit.state = carryExitState(p.exit, exit); // rungs taken, armed trail and breakeven survive graduation
+    p.exit = exit;
+    exitNote = `\nExit → ${describeExit(p.exit)}`;
+  }
+  savePositions();
+  if (!prev) return; // first sighting (e.g. bought after migration): nothing to announce
+  const icon = phase === 'migrated' ? '🎓' : '⏳';
+  const what = phase === 'migrated' ? 'migrated to AMM — routing via PumpPortal AMM/Jupiter' : 'curve complete — migration pending (buys paused)';
+  notify('alerts', `${icon} ${mint} ${what}${exitNote}`);
+}
 
-  ws.on('open', () => {
-    // Stream new token events; we will subscribe to trades for each new mint.
-    ws.send(JSON.stringify({ method: 'subscribeNewToken' }));
+// -------------------- DEV-DUMP WATCH: exit when the creator / top holders sell --------------------
+const DEVWATCH = devWatchFromEnv(process.env);
+const exitingMints = new Set();   // mints with a dev-dump exit in flight (monitor skips them)
+const seenWatchSigs = new Set();  // a sell can arrive on both the account and the token stream
+
+function watchedWallets() {
+  return [...new Set(Object.values(positions).flatMap(p => (p.watch || []).map(w => w.wallet)))];
+}
+
+// Resolve who to watch for a fresh position and subscribe to their trades.
+async function watchPosition(mint) {
+  if (!DEVWATCH.enabled || !positions[mint]) return;
+  try {
+    const bucket = feed.byMint.get(mint);
+    let creator = bucket?.creator || null;
+    if (!creator) creator = (await fetchBondingCurve(connection, mint))?.creator?.toBase58() || null;
+    const watch = await resolveWatchList(connection, mint, {
+      creator,
+      topHolders: DEVWATCH.topHolders,
+      exclude: [keypair.publicKey.toBase58()],
+      fallbackCreatorTokens: bucket?.initialBuyTokens
+    });
+    if (!positions[mint]) return; // closed while we were resolving
+    positions[mint].watch = watch;
+    savePositions();
+    subs.subscribeAccounts(watch.map(w => w.wallet));
+  } catch (e) {
+    console.error('[DevWatch]', mint, e.message);
+  }
+}
+
+// Drop account subscriptions no open position still needs.
+function unwatchWallets(wallets) {
+  const still = new Set([...watchedWallets(), ...Object.keys(FOLLOWS)]);
+  subs.unsubscribeAccounts(wallets.filter(w => !still.has(w)));
+}
+
+function onWatchedTrade(msg) {
+  if (!DEVWATCH.enabled || !msg?.mint || !msg.traderPublicKey) return;
+  const p = positions[msg.mint];
+  if (!p?.watch?.length || exitingMints.has(msg.mint)) return;
+  if (msg.signature) {
+    if (seenWatchSigs.has(msg.signature)) return;
+    seenWatchSigs.add(msg.signature);
+    if (seenWatchSigs.size > 5000) seenWatchSigs.clear();
+  }
+  const { changed, hit } = applyWatchedTrade(p.watch, msg, DEVWATCH.sellPct);
+  if (changed) savePositions();
+  if (hit) devDumpExit(msg.mint, hit);
+}
+
+async function devDumpExit(mint, hit) {
+  exitingMints.add(mint);
+  const who = `${hit.role} ${hit.wallet}`;
+  try {
+    await withMintLock(mint, async () => {
+      if (!positions[mint]) return; // an exit in flight already closed it
+      const wallets = (positions[mint].watch || []).map(w => w.wallet);
+      const raw = await getTokenRawBalance(mint);
+      if (raw <= 0n) { recordExternalClose(mint); delete positions[mint]; savePositions(); unwatchWallets(wallets); return; }
+      const res = await smartSell({ mint, amountRaw: raw });
+      if (recordSell({ mint, res, trigger: 'devdump', final: true })) { delete positions[mint]; unwatchWallets(wallets); }
+      savePositions();
+      const got = res.outLamports ? ` — ~${(Number(res.outLamports)/1e9).toFixed(6)} SOL` : '';
+      notify('tpsl', `🚨 Dev dump ${mint}\n${who} sold ${hit.soldPct.toFixed(0)}% of their ${hit.baseTokens.toFixed(0)} tokens (threshold ${DEVWATCH.sellPct}%).\nExited 100% via ${res.route}${got}.${partialNote(res)}`);
+    }, { wait: true });
+  } catch (e) {
+    console.error('[DevWatch exit]', mint, e.message);
+    notify('errors', `⚠️ Dev dump detected on ${mint} (${who} sold ${hit.soldPct.toFixed(0)}%) but the exit failed: ${e.message}`);
+  } finally {
+    exitingMints.delete(mint);
+  }
+}
+// Restore watched wallets after a restart; positions opened before the watch existed get one now.
+subs.subscribeAccounts(watchedWallets());
+for (const mint of Object.keys(positions)) if (!positions[mint].watch) watchPosition(mint);
+
+// -------------------- COPY TRADING: mirror followed wallets --------------------
+const FOLLOWS_FILE = './follows.json';
+const followsStore = createStore(FOLLOWS_FILE);
+function loadFollows() { return loadOrExit(followsStore); }
+function saveFollows() { followsStore.save(FOLLOWS); }
+const FOLLOWS = loadFollows(); // wallet -> { scale, maxSol, addedAt }
+subs.subscribeAccounts(Object.keys(FOLLOWS));
+
+const seenCopySigs = new Set(); // leader trades on held mints arrive on the account and the token stream
+let copyPending = 0;            // copy buys in flight count toward maxOpen
+
+function onFollowedTrade(msg) {
+  const wallet = msg?.traderPublicKey;
+  if (!wallet || !msg.mint || !FOLLOWS[wallet]) return;
+  const side = String(msg.side || msg.txType || '').toLowerCase();
+  if (side !== 'buy' && side !== 'sell') return;
+  if (msg.signature) {
+    if (seenCopySigs.has(msg.signature)) return;
+    seenCopySigs.add(msg.signature);
+    if (seenCopySigs.size > 5000) seenCopySigs.clear();
+  }
+  const run = side === 'buy' ? copyBuy(wallet, msg) : copySell(wallet, msg);
+  run.catch(e => {
+    console.error(`[Copy ${side}]`, wallet, msg.mint, e.message);
+    notify('errors', `⚠️ Copy ${side} failed for ${msg.mint} (leader ${wallet.slice(0, 4)}…): ${e.message}`);
   });
+}
 
-  ws.on('message', (raw) => {
+async function copyBuy(wallet, msg) {
+  const { mint } = msg;
+  const p = positions[mint];
+  if (p) {
+    // Already holding: count this leader's add-on toward its holding, but never pyramid
+    if (p.copy?.wallet === wallet) { applyLeaderTrade(p.copy, 'buy', msg.tokenAmount); savePositions(); }
+    return;
+  }
+  const follow = FOLLOWS[wallet];
+  if (AUTOPILOT.blacklist.includes(mint)) return console.log(`[Copy] skip ${mint}: blacklisted`);
+  if (Object.keys(positions).length + copyPending >= AUTOPILOT.maxOpen) return console.log(`[Copy] skip ${mint}: maxOpen ${AUTOPILOT.maxOpen} reached`);
+  const sol = copyBuySol(follow, msg.solAmount);
+  if (!sol) return;
+
+  copyPending++;
+  try {
+    await withMintLock(mint, async () => {
+      if (positions[mint]) return;
+      const profileUsed = `COPY:${wallet}`;
+      const res = await smartBuy({ mint, amountSol: sol });
+      const tradeId = recordBuy({ mint, res, trigger: 'copy', profileUsed });
+      positions[mint] = newPosition({ mint, res, profileUsed, tradeId, exitProfile: DEFAULT_EXIT });
+      positions[mint].copy = { wallet, leaderTokens: Number(msg.tokenAmount || 0) };
+      savePositions();
+      watchPosition(mint);
+      notify('fills', `👥 Copy BUY ${mint}\nLeader: ${wallet} bought ${Number(msg.solAmount || 0).toFixed(4)} SOL\nUs: ${res.spentSol.toFixed(6)} SOL (×${follow.scale}, max ${follow.maxSol})\nRoute: ${res.route}${fillNote(res)}\nExit: ${describeExit(positions[mint].exit)}`, positionKeyboard(mint));
+    });
+  } finally {
+    copyPending--;
+  }
+}
+
+// Runs under the mint lock, so a leader sell that arrives while our copy buy is in flight waits for
+// it and then sees the new position. The leader's reduced holding is only kept once our sell lands.
+async function copySell(wallet, msg) {
+  const { mint } = msg;
+  await withMintLock(mint, async () => {
+    const p = positions[mint];
+    if (!p?.copy || p.copy.wallet !== wallet) return;
+    const copy = { ...p.copy };
+    const fraction = applyLeaderTrade(copy, 'sell', msg.tokenAmount);
+    const commit = () => { if (positions[mint]) { positions[mint].copy = copy; savePositions(); } };
+    if (fraction <= 0) return commit();
+    const raw = await getTokenRawBalance(mint);
+    if (raw <= 0n) return commit();
+    const final = fraction >= 1;
+    const toSell = sellAmountRaw(raw, fraction);
+    if (toSell <= 0n) return commit();
+    const res = await smartSell({ mint, amountRaw: toSell });
+    const got = res.outLamports ? ` — ~${(Number(res.outLamports)/1e9).toFixed(6)} SOL` : '';
+    if (recordSell({ mint, res, trigger: 'copy', final })) {
+      const wallets = (p.watch || []).map(w => w.wallet);
+      delete positions[mint]; savePositions(); unwatchWallets(wallets);
+    } else {
+      commit();
+    }
+    notify('fills', `👥 Copy SELL ${mint}\nLeader ${wallet} sold ${final ? 'everything' : `${(fraction * 100).toFixed(0)}%`}; we sold ${final ? '100' : (fraction * 100).toFixed(0)}%${got} (route: ${res.route}).${partialNote(res)}`);
+  }, { wait: true });
+}
+
+// -------------------- LIMIT ORDERS + WATCH ALERTS (evaluated on feed ticks) --------------------
+const ORDERS_FILE = './orders.json';
+const ordersStore = createStore(ORDERS_FILE, { fallback: () => ({ nextId: 1, list: [] }) });
+function loadOrders() { return loadOrExit(ordersStore); }
+function saveOrders() {
+  // Keep every open order plus the last 50 closed ones for /orders history
+  const open = ORDERS.list.filter(o => o.status === 'open' || o.status === 'triggered');
+  const closed = ORDERS.list.filter(o => o.status !== 'open' && o.status !== 'triggered').slice(-50);
+  ORDERS.list = [...open, ...closed].sort((a, b) => a.id - b.id);
+  ordersStore.save(ORDERS);
+}
+const ORDERS = loadOrders();
+function hasOpenOrders(mint) { return ORDERS.list.some(o => o.mint === mint && o.status === 'open'); }
+
+function addOrder(order) {
+  const o = { id: ORDERS.nextId++, ...order, createdAt: new Date().toISOString(), status: 'open' };
+  ORDERS.list.push(o);
+  saveOrders();
+  subscribeMintTrades(o.mint);
+  return o;
+}
+
+// Open orders need their mint's trades even after a restart; an order caught mid-fill is not retried
+for (const o of ORDERS.list) {
+  if (o.status === 'triggered') { o.status = 'failed'; o.error = 'interrupted by restart'; }
+  if (o.status === 'open') subscribeMintTrades(o.mint);
+}
+
+function checkOrders(mint) {
+  if (!mint || !hasOpenOrders(mint)) return;
+  const m = feed.metrics(mint);
+  for (const o of ORDERS.list) {
+    if (o.mint !== mint || o.status !== 'open') continue;
+    if (o.kind === 'limit' && !o.dir) {
+      // Placed before the feed had a price: this first price decides the side, firing from the next tick
+      if (m?.priceNowSol > 0) { o.dir = limitDirection(o.priceSol, m.priceNowSol); saveOrders(); }
+      continue;
+    }
+    const hit = o.kind === 'watch' ? conditionMet(o.cond, m) : limitTriggered(o, m?.priceNowSol);
+    if (!hit) continue;
+    o.status = 'triggered'; o.triggeredAt = new Date().toISOString(); saveOrders();
+    fireOrder(o, m).then(() => {
+      o.status = 'filled'; o.filledAt = new Date().toISOString(); saveOrders();
+    }).catch(e => {
+      o.status = 'failed'; o.error = e.message; saveOrders();
+      console.error(`[Order #${o.id}]`, e.message);
+      notify('errors', `⚠️ Order #${o.id} on ${o.mint} failed: ${e.message}`);
+    });
+  }
+}
+
+async function fireOrder(o, m) {
+  const px = m?.priceNowSol ? ` (price ${m.priceNowSol.toExponential(4)} SOL)` : '';
+  if (o.kind === 'watch') {
+    notify('alerts', `🔔 Alert #${o.id}: ${o.mint}\n${o.cond.metric} ${o.cond.op} ${o.cond.value} — now ${o.cond.metric === 'price' ? m.priceNowSol.toExponential(4) : Number(m[o.cond.metric]).toFixed(2)}`);
+    return;
+  }
+
+  if (o.side === 'buy') {
+    // Same path as /autobuy: a monitored position with an exit profile
+    await withMintLock(o.mint, async () => {
+      if (positions[o.mint]) throw new Error('Already holding this mint');
+      await verifyMintExists(o.mint);
+      const res = await smartBuy({ mint: o.mint, amountSol: o.sol });
+      const tradeId = recordBuy({ mint: o.mint, res, trigger: 'limit', profileUsed: 'SCALP-THIN' });
+      positions[o.mint] = newPosition({ mint: o.mint, res, profileUsed: 'SCALP-THIN', tradeId, exitProfile: o.exitProfile || DEFAULT_EXIT });
+      savePositions();
+      o.sig = res.sig || null;
+      notify('fills', `🟢 Limit BUY #${o.id} filled${px}\n${o.mint}\nSpent: ${res.spentSol.toFixed(6)} SOL\nRoute: ${res.route}${fillNote(res)}\nExit: ${describeExit(positions[o.mint].exit)}`, positionKeyboard(o.mint));
+    }, { wait: true });
+    watchPosition(o.mint);
+    return;
+  }
+
+  await withMintLock(o.mint, async () => {
+    const raw = await getTokenRawBalance(o.mint);
+    if (raw <= 0n) throw new Error('No balance');
+    const final = o.pct >= 100;
+    const toSell = sellAmountRaw(raw, o.pct / 100);
+    const res = await smartSell({ mint: o.mint, amountRaw: toSell });
+    if (recordSell({ mint: o.mint, res, trigger: 'limit', final }) && positions[o.mint]) {
+      const wallets = (positions[o.mint].watch || []).map(w => w.wallet);
+      delete positions[o.mint]; savePositions(); unwatchWallets(wallets);
+    }
+    o.sig = res.sig || null;
+    const got = res.outLamports ? ` — ~${(Number(res.outLamports)/1e9).toFixed(6)} SOL` : '';
+    notify('fills', `🔴 Limit SELL #${o.id} filled${px}\nSold ${o.pct}% of ${o.mint}${got} (route: ${res.route})${partialNote(res)}`);
+  }, { wait: true });
+}
+
+// -------------------- WALLET RECONCILIATION (positions.json vs token accounts) --------------------
+let lastReconcile = null; // { at, untracked, phantom, empty } from the last pass
+
+async function reconcileWallet() {
+  const accounts = await listTokenAccounts(connection, keypair.publicKey);
+  lastReconcile = { at: Date.now(), ...diffHoldings({ accounts, positions, skip: [WSOL_MINT], trades: ledgerTrades() }) };
+  // Stale trades would hold exposure (see riskGate) forever: close them as sold outside the bot
+  for (const t of lastReconcile.stale) {
+    if (!mintLocks.has(t.mint)) recordExternalClose(t.mint, t.tradeId);
+  }
+  return lastReconcile;
+}
+
+// Adopt a holding as a monitored position. Entry is estimated: the open ledger buy if there is one
+// (a buy that landed after an error), else the current mark — so PnL starts at ~0.
+async function adoptHolding(mint, raw, exitProfile) {
+  await withMintLock(mint, async () => {
+    if (positions[mint]) throw new Error('Already tracked');
+    const openId = ledger.openTradeId(mint);
+    const ledgerCost = openId ? buildTrades(ledger.entries).find(t => t.tradeId === openId)?.solIn : null;
+    let spentSol = ledgerCost;
+    if (!(spentSol > 0)) {
+      const { lamports } = await quoteSellValue({ mint, amountRaw: raw });
+      spentSol = Number(lamports) / 1e9;
+    }
+    if (!(spentSol > 0)) throw new Error('Could not price this holding');
+    const res = { route: 'adopt', sig: null, outRaw: raw, spentSol, fill: null, reconciled: false };
+    const tradeId = openId || recordBuy({ mint, res, trigger: 'adopt', profileUsed: 'ADOPTED' });
+    positions[mint] = { ...newPosition({ mint, res, profileUsed: 'ADOPTED', tradeId, exitProfile }), adoptedFrom: ledgerCost > 0 ? 'ledger' : 'mark' };
+    savePositions();
+  }, { wait: true });
+  watchPosition(mint);
+  return positions[mint];
+}
+
+function prunePosition(mint) {
+  const wallets = (positions[mint].watch || []).map(w => w.wallet);
+  recordExternalClose(mint);
+  delete positions[mint];
+  savePositions();
+  unwatchWallets(wallets);
+}
+
+// Close empty token accounts (8 per tx), skipping mints we track or are trading right now.
+async function closeEmptyAccounts(empty) {
+  const closable = empty.filter(a => !positions[a.mint] && !mintLocks.has(a.mint));
+  const out = { closed: 0, rentSol: 0, errors: [] };
+  for (let i = 0; i < closable.length; i += 8) {
+    const batch = closable.slice(i, i + 8);
     try {
-      const msg = JSON.parse(raw.toString());
+      const priorityFeeSol = await sender.priorityFeeSol();
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+      const message = new TransactionMessage({
+        payerKey: keypair.publicKey,
+        recentBlockhash: blockhash,
+        instructions: [
+          ...computeBudgetIxs({ units: 10_000 + 5_000 * batch.length, priorityFeeSol }),
+          ...batch.map(a => closeTokenAccountIx({ account: a.address, destination: keypair.publicKey, owner: keypair.publicKey, tokenProgram: new PublicKey(a.programId) }))
+        ]
+      }).compileToV0Message();
+      const tx = new VersionedTransaction(message);
+      tx.sign([keypair]);
+      await sender.send(tx, { route: 'close', lastValidBlockHeight, skipPreflight: false });
+      out.closed += batch.length;
+      out.rentSol += batch.reduce((a, x) => a + x.rentLamports, 0) / 1e9;
+    } catch (e) {
+      out.errors.push(e.message);
+    }
+  }
+  return out;
+}
 
-      // New token created
-      if (msg.message === 'newToken' && msg.mint) {
-        ws.send(JSON.stringify({ method: 'subscribeTokenTrade', keys: [msg.mint] }));
-        if (!feed.byMint.has(msg.mint)) feed.byMint.set(msg.mint, { lastPriceSol: null, trades: [] });
-      }
+function describeReconcile(r) {
+  const short = (m) => `${m.slice(0, 6)}…${m.slice(-4)}`;
+  const rent = r.empty.reduce((a, x) => a + x.rentLamports, 0) / 1e9;
+  const lines = [
+    `Untracked holdings: ${r.untracked.length}`,
+    ...r.untracked.map(h => `  • ${h.mint} (${h.raw} raw)`),
+    `Phantom positions (no balance): ${r.phantom.length}`,
+    ...r.phantom.map(m => `  • ${short(m)}`),
+    `Empty token accounts: ${r.empty.length} (~${rent.toFixed(4)} SOL rent)`,
+    ...(r.stale.length ? [`Closed ${r.stale.length} open trade(s) with nothing left in the wallet`] : [])
+  ];
+  const hints = [];
+  if (r.untracked.length) hints.push('/reconcile adopt <mint|all> [exit profile]');
+  if (r.phantom.length) hints.push('/reconcile prune <mint|all>');
+  if (r.empty.length) hints.push('/reconcile close');
+  return lines.join('\n') + (hints.length ? `\n\n${hints.join('\n')}` : '\n\n✅ Wallet and positions agree.');
+}
 
-      // Per-token trade stream
-      if (msg.message === 'tokenTrade' && msg.mint) {
-        const m = feed.byMint.get(msg.mint) || { lastPriceSol: null, trades: [] };
-        const side = String(msg.side || '').toLowerCase();
-        const priceSol = Number(msg.priceSol ?? msg.price ?? 0);
-        const amountSol = Number(msg.solAmount ?? msg.amountSol ?? 0);
+// Replay stands in for the live socket; recorded messages go through the same ingest path.
+async function startReplay() {
+  console.log(`[Replay] ${PUMP_REPLAY_FILE} at ${Number(PUMP_REPLAY_SPEED) || 'max'}x`);
+  try {
+    const n = await REPLAY.run(rec => handleFeedMessage(rec.msg, rec.ts));
+    console.log(`[Replay] done — ${n} messages`);
+    notify('alerts', `⏹️ Replay finished (${n} messages).`);
+  } catch (e) {
+    console.error('[Replay]', e.message);
+  }
+}
 
-        if (priceSol > 0) m.lastPriceSol = priceSol;
-        m.trades.push({ ts: Date.now(), side, priceSol, amountSol });
-        feed.byMint.set(msg.mint, m);
-      }
-    } catch {}
-  });
+if (REPLAY) {
+  if (!PAPER) { console.error('PUMP_REPLAY_FILE requires PAPER_TRADING=true'); process.exit(1); }
+  startReplay();
+} else {
+  attachPumpPortal();
+}
+
+// -------------------- PAPER TRADING (simulated executor) --------------------
+// Fills at the last feed price with modeled slippage + fees against a virtual SOL balance.
+const PAPER_FILE = './paper.json';
+const paperStore = createStore(PAPER_FILE);
+function loadPaper() {
+  return { sol: Number(PAPER_START_SOL), startSol: Number(PAPER_START_SOL), holdings: {}, fills: 0, ...loadOrExit(paperStore) };
+}
+function savePaper() { paperStore.save(paper); }
+const paper = loadPaper();
+const paperFills = createFillModel({
+  slippageBps: Number(PAPER_SLIPPAGE_BPS),
+  feeBps: Number(PAPER_FEE_BPS),
+  txFeeSol: Number(PAPER_TX_FEE_SOL),
+  decimals: PUMP_TOKEN_DECIMALS
+});
+
+function paperPrice(mint) {
+  const px = feed.byMint.get(mint)?.lastPriceSol;
+  if (!px || !isFinite(px) || px <= 0) throw new Error('No feed price for this mint yet (paper mode)');
+  return px;
+}
+
+function paperQuoteSell({ mint, amountRaw }) {
+  return paperFills.sellLamports(paperPrice(mint), amountRaw);
+}
+
+async function paperBuy({ mint, amountSol }) {
+  const sol = Number(amountSol);
+  const cost = sol + paperFills.txFeeSol;
+  if (paper.sol < cost) throw new Error(`Insufficient paper SOL (${paper.sol.toFixed(4)})`);
+
+  const outRaw = paperFills.buyRaw(paperPrice(mint), sol);
+  if (outRaw <= 0n) throw new Error('Paper fill rounded to zero tokens');
 
-  ws.on('close', () => setTimeout(attachPumpPortal, 1500));
-  ws.on('error', () => ws.close());
+  paper.sol -= cost;
+  paper.holdings[mint] = (BigInt(paper.holdings[mint] || '0') + outRaw).toString();
+  paper.fills++;
+  savePaper();
+  return { route: 'paper', sig: null, outRaw, spentSol: cost, fill: null, reconciled: true };
 }
-attachPumpPortal();
 
-// -------------------- TRADING HELPERS: PumpPortal + Jupiter fallback --------------------
-async function pumpportalTrade({ action, mint, amountSol, amountRawTokens }) {
+async function paperSell({ mint, amountRaw }) {
+  const held = BigInt(paper.holdings[mint] || '0');
+  const raw = BigInt(amountRaw);
+  if (raw <= 0n || held <= 0n) throw new Error('Nothing to sell');
+  const sold = raw > held ? held : raw;
+
+  const outLamports = paperQuoteSell({ mint, amountRaw: sold });
+  paper.sol += Number(outLamports) / 1e9;
+  const left = held - sold;
+  if (left > 0n) paper.holdings[mint] = left.toString();
+  else delete paper.holdings[mint];
+  paper.fills++;
+  savePaper();
+  return { route: 'paper', sig: null, soldRaw: sold, outLamports, fill: null, reconciled: true };
+}
+
+// -------------------- TRADING HELPERS: PumpPortal / native pump.fun + Jupiter fallback --------------------
+// PumpPortal broadcasts the tx itself; we confirm it through the sender. Returns { sig, latencyMs }.
+async function pumpportalTrade({ action, mint, amountSol, amountRawTokens, retry = 0 }) {
   const apiKey = PUMPPORTAL_API_KEY || '';
   if (!apiKey) throw new Error('Missing PUMPPORTAL_API_KEY');
 
+  const started = Date.now();
   const body = {
     action,                                 // 'buy' | 'sell'
     mint,
-    slippage: Number(PUMPPORTAL_DEFAULT_SLIPPAGE || 10),
-    priorityFee: Number(PUMPPORTAL_PRIORITY_FEE || 0.00005),
+    slippage: escalateSlippage(Number(PUMPPORTAL_DEFAULT_SLIPPAGE || 10), retry),
+    priorityFee: await sender.priorityFeeSol({ accounts: feeAccountsFor(mint) }),
     pool: 'auto'
   };
   if (action === 'buy') {
@@ -368,79 +1080,378 @@ async function pumpportalTrade({ action, mint, amountSol, amountRawTokens }) {
   });
   const text = await r.text();
   if (!r.ok) throw new Error(`PumpPortal trade failed ${r.status}: ${text.slice(0,180)}`);
-  return JSON.parse(text); // contains signature/status
+  const data = JSON.parse(text); // contains signature/errors
+  if (data.errors?.length) throw new Error(`PumpPortal trade error: ${String(data.errors[0]).slice(0,180)}`);
+  if (!data.signature) throw new Error('PumpPortal trade returned no signature');
+  return sender.confirm(data.signature, { route: 'pumpportal', started });
 }
 
-async function smartBuy({ mint, amountSol }) {
-  const usePP = String(USE_PUMPPORTAL_TRADE || 'true').toLowerCase() === 'true';
-  if (usePP) {
-    try {
-      await pumpportalTrade({ action: 'buy', mint, amountSol });
-      return { route: 'pumpportal', outRaw: 0n, spentSol: Number(amountSol) };
-    } catch (e) {
-      console.warn('[PP buy fallback to JUP]', e.message);
-    }
+// -------------------- FILL RECONCILIATION --------------------
+// Reads the confirmed tx so positions carry real token/SOL deltas. If the tx can't be
+// fetched in time we fall back to the requested/quoted amounts and mark it unreconciled.
+// `sent` are sender results ({ sig, latencyMs }); latencyMs on the result is the slowest landing.
+async function settleBuy({ route, sent, mint, requestedSol, quotedOutRaw = 0n }) {
+  const sigs = sent.map(x => x.sig);
+  const latencyMs = Math.max(...sent.map(x => x.latencyMs));
+  const fill = combineFills(await Promise.all(sigs.map(sig => fetchFill(connection, sig, { owner: keypair.publicKey, mint }))));
+  if (!fill) {
+    console.warn(`[Fill] ${route} buy ${mint} not reconciled (${sigs.join(',')})`);
+    return { route, sig: sigs.join(','), outRaw: quotedOutRaw, spentSol: requestedSol, fill: null, reconciled: false, latencyMs };
   }
+  // Cost = SOL that left the wallet (swap + fees), minus refundable token-account rent
+  const spentLamports = -(fill.solDeltaLamports + fill.rentLamports);
+  return { route, sig: fill.signature, outRaw: fill.tokenDeltaRaw, spentSol: Number(spentLamports) / 1e9, fill, reconciled: true, latencyMs };
+}
+
+async function settleSell({ route, sent, mint, amountRaw, quotedLamports = 0n }) {
+  const sigs = sent.map(x => x.sig);
+  const latencyMs = Math.max(...sent.map(x => x.latencyMs));
+  const fill = combineFills(await Promise.all(sigs.map(sig => fetchFill(connection, sig, { owner: keypair.publicKey, mint }))));
+  if (!fill) {
+    console.warn(`[Fill] ${route} sell ${mint} not reconciled (${sigs.join(',')})`);
+    return { route, sig: sigs.join(','), soldRaw: BigInt(amountRaw), outLamports: quotedLamports, fill: null, reconciled: false, latencyMs };
+  }
+  return { route, sig: fill.signature, soldRaw: -fill.tokenDeltaRaw, outLamports: fill.solDeltaLamports, fill, reconciled: true, latencyMs };
+}
+
+function newPosition({ mint, res, profileUsed, tradeId, exitProfile }) {
+  subscribeMintTrades(mint);
+  return {
+    mint,
+    tradeId,
+    entrySolSpent: res.spentSol,
+    entryTokenRecvRaw: (res.outRaw || 0n).toString(),
+    entrySig: res.sig || null,
+    entryFeeLamports: res.fill ? res.fill.feeLamports.toString() : null,
+    entryPriceSol: res.fill?.priceSol ?? null,
+    entryReconciled: Boolean(res.reconciled),
+    entryShards: res.shards || null, // per-slice fills of a sharded entry
+    realizedSol: 0, // SOL already taken out by partial sells
+    exits: [],
+    exit: makeExit(exitProfile),
+    phase: mintPhase(mint),
+    createdAt: new Date(feed.now()).toISOString(), // feed clock, so hold time follows PUMP_REPLAY like the backtester
+    lastCheck: null,
+    profileUsed
+  };
+}
+
+function fillNote(res) {
+  const shards = res.shards?.length > 1
+    ? `\nShards: ${res.shards.length} (impact ${res.shards.map(s => s.impactPct != null ? `${s.impactPct.toFixed(2)}%` : '?').join(', ')})${res.partial ? ' — partial fill' : ''}`
+    : '';
+  const landed = res.latencyMs != null ? `\nLanded in ${(res.latencyMs / 1000).toFixed(1)}s` : '';
+  if (!res.fill) return (res.reconciled ? '' : '\n(fill not reconciled — using requested amounts)') + shards + landed;
+  const px = res.fill.priceSol ? ` @ ${res.fill.priceSol.toExponential(4)} SOL/token` : '';
+  return `\nTokens: ${res.outRaw} raw${px}, fee ${(Number(res.fill.feeLamports)/1e9).toFixed(6)} SOL${shards}${landed}`;
+}
+
+// Ledger a buy; returns the tradeId so a position can reference it.
+function recordBuy({ mint, res, trigger, profileUsed = null, strategy = null }) {
+  const tradeId = newTradeId(mint);
+  ledger.append({
+    side: 'buy', tradeId, mint, route: res.route,
+    solIn: res.spentSol, solOut: 0, tokensRaw: String(res.outRaw ?? 0n),
+    trigger, source: trigger, profileUsed, strategy, sig: res.sig || null, paper: PAPER
+  });
+  return tradeId;
+}
+
+// Apply a sell to the position and ledger it. `final` closes the trade — unless the sell only
+// partly filled. Returns whether the trade closed (callers drop the position only then).
+function recordSell({ mint, res, trigger, final, tradeId = null }) {
+  const p = positions[mint];
+  const closed = Boolean(final) && !res.partial;
+  if (!tradeId || tradeId === p?.tradeId) applySellFill(mint, res);
+  ledger.append({
+    side: 'sell', tradeId: tradeId || p?.tradeId || ledger.openTradeId(mint) || newTradeId(mint), mint, route: res.route,
+    solIn: 0, solOut: Number(res.outLamports ?? 0n) / 1e9, tokensRaw: String(res.soldRaw ?? 0n),
+    trigger, profileUsed: p?.profileUsed ?? null, sig: res.sig || null, final: closed, paper: PAPER
+  });
+  if (closed) riskAfterClose();
+  return closed;
+}
+// Tokens left the wallet outside the bot: close the trade with zero proceeds (what that sell
+// returned is unknown) so it doesn't stay open in /pnl and ledger.openTradeId.
+// `tradeId` closes that trade instead (an older one left open without a position).
+function recordExternalClose(mint, tradeId = null) {
+  const open = ledger.openTradeId(mint);
+  if (!tradeId && (!open || (positions[mint]?.tradeId && positions[mint].tradeId !== open))) return; // already closed (e.g. /sell 100%)
+  const res = { route: 'external', sig: null, soldRaw: 0n, outLamports: 0n, fill: null, reconciled: false };
+  recordSell({ mint, res, trigger: 'external', final: true, tradeId });
+}
+const partialNote = (res) => res.partial ? `\n⚠️ Partial: ${res.remainingRaw} raw still held — position kept.` : '';
+
+// Write a sell's real proceeds onto the position (if we still track it).
+function applySellFill(mint, res) {
+  const p = positions[mint];
+  if (!p) return;
+  p.exits = p.exits || [];
+  p.exits.push({
+    at: new Date().toISOString(),
+    route: res.route,
+    sig: res.sig || null,
+    soldRaw: String(res.soldRaw ?? 0n),
+    outLamports: String(res.outLamports ?? 0n),
+    feeLamports: res.fill ? res.fill.feeLamports.toString() : null,
+    priceSol: res.fill?.priceSol ?? null,
+    reconciled: Boolean(res.reconciled)
+  });
+  p.realizedSol = Number(p.realizedSol || 0) + Number(res.outLamports ?? 0n) / 1e9;
+  savePositions();
+}
+
+// Native route: build + sign pump.fun curve instructions ourselves (no API key, no HTTP hop).
+// Re-reads the curve each call, so a slippage retry is a fresh quote. Returns { sig, latencyMs }.
+async function pumpNativeTrade({ action, mint, amountSol, amountRaw, retry = 0 }) {
+  const curve = await fetchBondingCurve(connection, mint);
+  if (!curve) throw new Error('No pump.fun bonding curve for this mint');
+  if (curve.complete) throw new Error('Bonding curve complete (migrated)');
+  const mintInfo = await connection.getAccountInfo(new PublicKey(mint));
+  if (!mintInfo) throw new Error('Mint does not exist');
+
+  const opts = {
+    user: keypair.publicKey,
+    mint,
+    curve,
+    tokenProgram: mintInfo.owner,
+    slippageBps: Math.floor(escalateSlippage(Number(PUMPPORTAL_DEFAULT_SLIPPAGE || 10), retry) * 100),
+    feeBps: Number(PUMP_FEE_BPS),
+    ...(PUMP_FEE_RECIPIENT ? { feeRecipient: new PublicKey(PUMP_FEE_RECIPIENT) } : {})
+  };
+  const built = action === 'buy'
+    ? buildBuyIxs({ ...opts, lamports: BigInt(Math.floor(Number(amountSol) * 1e9)) })
+    : buildSellIxs({ ...opts, amountRaw: BigInt(amountRaw) });
+
+  const priorityFeeSol = await sender.priorityFeeSol({ accounts: [bondingCurvePda(mint)] });
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  const message = new TransactionMessage({
+    payerKey: keypair.publicKey,
+    recentBlockhash: blockhash,
+    instructions: [...computeBudgetIxs({ priorityFeeSol }), ...built.ixs]
+  }).compileToV0Message();
+  const tx = new VersionedTransaction(message);
+  tx.sign([keypair]);
+
+  // Preflight on: a curve that moved past our slippage fails in simulation, before paying a fee
+  return sender.send(tx, { route: 'native', lastValidBlockHeight, skipPreflight: false });
+}
+
+// A route failure we must not paper over with the next route: the tx may still land (timeout),
+// or no route can pay for it (insufficient funds).
+function isFinalTxError(e) {
+  return e instanceof TxError && (e.kind === TX_TIMEOUT || e.kind === TX_INSUFFICIENT_FUNDS);
+}
+
+// Preferred route first, Jupiter always last. `route` overrides TRADE_ROUTE per call.
+function routeChain(route = TRADE_ROUTE_DEFAULT) {
+  if (!TRADE_ROUTES.includes(route)) throw new Error(`Unknown route ${route} (use ${TRADE_ROUTES.join('|')})`);
+  return route === 'jupiter' ? ['jupiter'] : [route, 'jupiter'];
+}
+
+// Once the curve is complete the native curve instructions can't fill; PumpPortal (pool=auto) and
+// Jupiter follow the liquidity to the AMM.
+function routesFor(mint, route) {
+  const phase = mintPhase(mint);
+  if (!phase || phase === 'curve') return routeChain(route);
+  return routeChain(route).filter(r => r !== 'native');
+}
+
+async function jupiterBuy({ mint, amountSol, slippageBps = THIN.SLIPPAGE_BASE }) {
   const lamports = Math.floor(Number(amountSol) * 1e9);
   const routeQuote = await jupQuote({
     inputMint: WSOL_MINT,
     outputMint: mint,
     amountRaw: lamports,
-    slippageBps: THIN.SLIPPAGE_BASE
+    slippageBps
   });
-  await jupBuildAndSend({ quoteResponse: routeQuote });
-  return { route: 'jupiter', outRaw: BigInt(routeQuote.outAmount || 0), spentSol: Number(lamports)/1e9 };
+  const sent = await jupBuildAndSend({ quoteResponse: routeQuote, mint });
+  return settleBuy({ route: 'jupiter', sent: [sent], mint, requestedSol: Number(lamports)/1e9, quotedOutRaw: BigInt(routeQuote.outAmount || 0) });
 }
 
-async function smartSell({ mint, amountRaw }) {
-  const usePP = String(USE_PUMPPORTAL_TRADE || 'true').toLowerCase() === 'true';
-  if (usePP) {
-    try {
-      await pumpportalTrade({ action: 'sell', mint, amountRawTokens: String(amountRaw) });
-      return { route: 'pumpportal', outLamports: 0n };
-    } catch (e) {
-      console.warn('[PP sell fallback to JUP]', e.message);
-    }
-  }
-  // fallback to Jupiter shard-sell
+async function jupiterSell({ mint, amountRaw }) {
+  // Jupiter shard-sell: slices sized by quoted impact, slippage follows the impact we expect
   const totalRaw = BigInt(amountRaw);
   if (totalRaw <= 0n) throw new Error('Nothing to sell');
+  const quote = (raw, slippageBps = THIN.SLIPPAGE_BASE) =>
+    jupQuote({ inputMint: mint, outputMint: WSOL_MINT, amountRaw: String(raw), slippageBps });
 
-  const shards = Math.min(THIN.EXIT_SHARDS, Number(THIN.EXIT_SHARDS));
   let remaining = totalRaw;
   let soldLamports = 0n;
+  let minShard = null;
+  const sent = [];
+
+  for (let i = 0; i < THIN.EXIT_SHARDS && remaining > 0n; i++) {
+    if (i) await new Promise(r => setTimeout(r, THIN.EXIT_DELAY_MS));
+    let size = remaining;
+    let route = await quote(size);
+    // THIN.MIN_SHARD_SOL in tokens, priced off the first full-size quote
+    if (minShard == null) minShard = Number(route.outAmount) > 0 ? Number(totalRaw) * (THIN.MIN_SHARD_SOL * 1e9) / Number(route.outAmount) : 0;
+    for (let k = 0; k < 3; k++) {
+      const next = BigInt(Math.floor(sizeShard({
+        remaining: Number(remaining), shardsLeft: THIN.EXIT_SHARDS - i, minShard,
+        target: THIN.TARGET_IMPACT, quotedSize: Number(size), quotedImpact: extractImpactPct(route)
+      })));
+      if (next >= size || next <= 0n) break;
+      size = next;
+      route = await quote(size);
+    }
+    const slippageBps = adaptiveSlippageBps(extractImpactPct(route), THIN.SLIPPAGE_BASE, THIN.SLIPPAGE_CAP);
 
-  for (let i = 0; i < shards; i++) {
-    const last = (i === shards - 1);
-    const slice = last ? remaining : (remaining / BigInt(shards - i));
-    if (slice <= 0n) break;
+    try {
+      // A slice that fails on slippage is re-quoted (same size, wider tolerance) and resent
+      const landed = await sender.withSlippageRetry(async (retry) => {
+        const bps = escalateSlippage(slippageBps, retry, THIN.SLIPPAGE_CAP);
+        if (retry || bps !== THIN.SLIPPAGE_BASE) route = await quote(size, bps);
+        return jupBuildAndSend({ quoteResponse: route, mint });
+      }, { route: 'jupiter' });
+      sent.push(landed);
+    } catch (e) {
+      if (!sent.length) throw e;
+      console.warn(`[Shards] ${mint} sell stopped after ${sent.length} slice(s):`, e.message);
+      break;
+    }
+    soldLamports += BigInt(route.outAmount);
+    remaining    -= BigInt(route.inAmount || size);
+  }
 
-    const route = await jupQuote({
-      inputMint: mint,
-      outputMint: WSOL_MINT,
-      amountRaw: String(slice),
-      slippageBps: Math.min(Number(THIN.SLIPPAGE_BASE), THIN.SLIPPAGE_CAP)
-    });
+  // A slice that failed after others landed leaves `remainingRaw` unsold: callers must not close the position
+  const res = await settleSell({ route: 'jupiter', sent, mint, amountRaw: totalRaw - remaining, quotedLamports: soldLamports });
+  return remaining > 0n ? { ...res, partial: true, remainingRaw: remaining } : res;
+}
 
-    await jupBuildAndSend({ quoteResponse: route });
-    soldLamports += BigInt(route.outAmount);
-    remaining    -= BigInt(route.inAmount || slice);
+// Impact of buying `sol` right now: curve math while on the curve, else a Jupiter quote. NaN if unknown.
+async function quoteBuyImpact(mint, sol) {
+  const lamports = Math.floor(sol * 1e9);
+  try {
+    if (mintPhase(mint) !== 'migrated') {
+      const curve = await fetchBondingCurve(connection, mint);
+      if (curve && !curve.complete) return curveBuyImpactPct(curve, lamports, Number(PUMP_FEE_BPS));
+    }
+    return extractImpactPct(await jupQuote({ inputMint: WSOL_MINT, outputMint: mint, amountRaw: lamports, slippageBps: THIN.SLIPPAGE_BASE }));
+  } catch {
+    return NaN;
+  }
+}
 
-    await new Promise(r => setTimeout(r, THIN.EXIT_DELAY_MS));
+// One slice through the route chain (preferred route first, Jupiter last).
+async function buyOnce({ mint, amountSol, route, slippageBps }) {
+  for (const r of routesFor(mint, route)) {
+    if (r === 'jupiter') return jupiterBuy({ mint, amountSol, slippageBps });
+    let sent = null;
+    try {
+      sent = r === 'native'
+        ? await pumpNativeTrade({ action: 'buy', mint, amountSol })
+        : await pumpportalTrade({ action: 'buy', mint, amountSol });
+    } catch (e) {
+      if (isFinalTxError(e)) throw e;
+      console.warn(`[${r} buy fallback to JUP]`, e.message);
+      continue;
+    }
+    return settleBuy({ route: r, sent: [sent], mint, requestedSol: Number(amountSol) });
   }
+}
 
-  return { route: 'jupiter', outLamports: soldLamports };
+// Sharded entry: each slice is sized so its quoted impact stays near THIN.TARGET_IMPACT (at most
+// THIN.MAX_SHARDS slices, none under THIN.MIN_SHARD_SOL). A slice still above THIN.HARD_IMPACT
+// aborts — the whole buy if nothing has filled yet, otherwise we keep what we got.
+async function shardedBuy({ mint, amountSol, route }) {
+  const total = Number(amountSol);
+  const minShard = Math.min(THIN.MIN_SHARD_SOL, total);
+  const parts = [];
+  let remaining = total;
+
+  for (let i = 0; i < THIN.MAX_SHARDS && remaining > 1e-9; i++) {
+    if (i) await new Promise(r => setTimeout(r, THIN.SHARD_DELAY_MS));
+    let size = remaining;
+    let impact = await quoteBuyImpact(mint, size);
+    for (let k = 0; k < 3; k++) {
+      const next = sizeShard({ remaining, shardsLeft: THIN.MAX_SHARDS - i, minShard, target: THIN.TARGET_IMPACT, quotedSize: size, quotedImpact: impact });
+      if (next >= size) break;
+      size = next;
+      impact = await quoteBuyImpact(mint, size);
+    }
+
+    if (impact > THIN.HARD_IMPACT) {
+      const why = `Price impact ${impact.toFixed(2)}% > hard cap ${THIN.HARD_IMPACT}% for a ${size.toFixed(4)} SOL slice`;
+      if (!parts.length) throw new Error(why);
+      console.warn(`[Shards] ${mint} buy stopped after ${parts.length} slice(s): ${why}`);
+      break;
+    }
+
+    let res;
+    try {
+      res = await buyOnce({ mint, amountSol: size, route, slippageBps: adaptiveSlippageBps(impact, THIN.SLIPPAGE_BASE, THIN.SLIPPAGE_CAP) });
+    } catch (e) {
+      if (!parts.length) throw e;
+      console.warn(`[Shards] ${mint} buy stopped after ${parts.length} slice(s):`, e.message);
+      break;
+    }
+    parts.push({ res, impactPct: isFinite(impact) ? impact : null });
+    remaining -= size;
+  }
+  return mergeBuys(parts, remaining > 1e-9);
 }
 
-// -------------------- BUY via JUP (legacy shards) — used by /autosim only --------------------
-function extractImpactPct(route) {
-  if (route?.priceImpactPct != null) return Number(route.priceImpactPct);
-  return NaN;
+// Fold slice results into one buy result; the per-slice fills ride along on `shards`.
+function mergeBuys(parts, partial) {
+  const shards = parts.map(({ res, impactPct }) => ({
+    route: res.route,
+    sig: res.sig || null,
+    spentSol: res.spentSol,
+    outRaw: String(res.outRaw ?? 0n),
+    priceSol: res.fill?.priceSol ?? null,
+    impactPct,
+    latencyMs: res.latencyMs ?? null,
+    reconciled: Boolean(res.reconciled)
+  }));
+  if (parts.length === 1) return { ...parts[0].res, shards, partial };
+  const list = parts.map(p => p.res);
+  const reconciled = list.every(r => r.reconciled);
+  return {
+    route: [...new Set(list.map(r => r.route))].join('+'),
+    sig: list.map(r => r.sig).filter(Boolean).join(','),
+    outRaw: list.reduce((a, r) => a + BigInt(r.outRaw ?? 0n), 0n),
+    spentSol: list.reduce((a, r) => a + Number(r.spentSol || 0), 0),
+    fill: reconciled ? combineFills(list.map(r => r.fill)) : null,
+    reconciled,
+    partial,
+    latencyMs: Math.max(...list.map(r => r.latencyMs ?? 0)),
+    shards
+  };
+}
+
+async function smartBuy({ mint, amountSol, route }) {
+  assertMintLocked(mint);
+  if (mintPhase(mint) === 'migrating') throw new Error('Migration in progress — no pool to buy from yet');
+  await riskGate(Number(amountSol));
+  if (PAPER) return paperBuy({ mint, amountSol });
+  return shardedBuy({ mint, amountSol, route });
+}
+
+async function smartSell({ mint, amountRaw, route }) {
+  assertMintLocked(mint);
+  if (PAPER) return paperSell({ mint, amountRaw });
+  for (const r of routesFor(mint, route)) {
+    if (r === 'jupiter') return jupiterSell({ mint, amountRaw });
+    let sent = null;
+    try {
+      // Sells that fail on slippage are re-quoted and resent with a wider tolerance
+      sent = await sender.withSlippageRetry((retry) => r === 'native'
+        ? pumpNativeTrade({ action: 'sell', mint, amountRaw, retry })
+        : pumpportalTrade({ action: 'sell', mint, amountRawTokens: String(amountRaw), retry }), { route: r });
+    } catch (e) {
+      if (isFinalTxError(e)) throw e;
+      console.warn(`[${r} sell fallback to JUP]`, e.message);
+      continue;
+    }
+    return settleSell({ route: r, sent: [sent], mint, amountRaw });
+  }
 }
 
 // -------------------- TELEGRAM COMMANDS --------------------
 bot.command('whoami', (ctx) =>
-  ctx.reply(`Your user id: ${ctx.from?.id}\nChat id: ${ctx.chat?.id}\nUsername: @${ctx.from?.username || 'n/a'}`)
+  ctx.reply(`Your user id: ${ctx.from?.id}\nChat id: ${ctx.chat?.id}\nUsername: @${ctx.from?.username || 'n/a'}\nRole: ${roleFor(ctx) || 'none'}`)
 );
 
 bot.command('authstatus', (ctx) => {
@@ -457,132 +1468,342 @@ bot.command('authstatus', (ctx) => {
 - from.id: ${fromId}
 - chat.id: ${chatId}
 - TELEGRAM_ALLOWED_USER_ID: ${rawUsers || '(empty)'}
-- TELEGRAM_ALLOWED_CHAT_ID: ${rawChats || '(empty)'}
-- userOk: ${userOk}  chatOk: ${chatOk}
-- allowed(): ${userOk || chatOk ? 'YES' : 'NO'}`
+- TELEGRAM_ALLOWED_CHAT_ID: ${rawChats || '(empty)'} (role: ${ACCESS.chatRole})
+- userOk: ${userOk}  chatOk: ${chatOk}  users.json: ${ACL.users[fromId]?.role || '-'}
+- role: ${roleFor(ctx) || 'none'}
+- notifications here: ${ACL.subscribers[chatId]?.events.join(', ') || 'none'}`
   );
 });
 
+// Drift summary for /start (the startup pass also notifies 'errors' subscribers).
+function reconcileNote() {
+  const r = lastReconcile;
+  if (!r || !(r.untracked.length || r.phantom.length || r.empty.length)) return '';
+  return `\n\n⚠️ Wallet drift: ${r.untracked.length} untracked, ${r.phantom.length} phantom, ${r.empty.length} empty account(s) — /reconcile`;
+}
+
 bot.start(authGuard((ctx) => {
-  lastChatId = ctx.chat?.id || lastChatId;
   ctx.reply(
 `Ready. Commands:
 /whoami
 /authstatus
 /bal
-/buy <mint> [sol]
-/sell <mint> [percent]
-/autobuy <mint> [sol]
+/buy <mint> [sol] [route]
+/sell <mint> [percent] [route]
+/autobuy <mint> [sol] [exit profile]
 /status
 /cancel <mint>
 /autopilot on|off|status
 /autofilters
+/strategy [use <name>|shadow <name> on|off|reload]
+/follow add|remove|list <wallet> [scale] [maxSol]
+/limit buy <mint> <priceSol> <sol> [exit profile]
+/limit sell <mint> <priceSol|+pct> [percent]
+/watch <mint> <condition>
+/orders [cancel <id|all>]
+/reconcile [adopt|prune|close]
 /scan
+/feed
+/txstats
 /autosim <mint> [sol]
+/pnl [today|7d|all]
+/exits [set <mint> <profile>]
+/risk [set <key> <value>|resume|on|off]
+/paper status|reset [sol]
+/users [add|remove|subscribe|unsubscribe]
 
+Role: ${roleFor(ctx)}
 Autopilot: ${AUTOPILOT.enabled ? 'ON' : 'OFF'}
-Wallet: ${keypair.publicKey.toBase58()}`
+Mode: ${PAPER ? 'PAPER (simulated fills)' : 'LIVE'} — route: ${TRADE_ROUTE_DEFAULT}
+Wallet: ${keypair.publicKey.toBase58()}${reconcileNote()}`
   );
 }));
 
-bot.on('message', (ctx, next) => {
-  if (allowed(ctx)) lastChatId = ctx.chat?.id || lastChatId;
-  return next();
-});
-
 bot.command('bal', authGuard(async (ctx) => {
+  if (PAPER) {
+    const held = Object.keys(paper.holdings).length;
+    return ctx.reply(`PAPER SOL: ${paper.sol.toFixed(4)} (start ${paper.startSol}) — ${held} token holding(s), ${paper.fills} fills`);
+  }
   const bal = await connection.getBalance(keypair.publicKey);
   ctx.reply(`SOL: ${(bal/1e9).toFixed(4)} — ${keypair.publicKey.toBase58()}`);
 }));
 
-bot.command('buy', authGuard(async (ctx) => {
-  const [, mint, solStr] = ctx.message.text.trim().split(/\s+/);
+// One open trade per mint: a second buy would open a trade (or replace a position) that the
+// position's sells never close. Call under the mint lock.
+function assertNotHeld(mint) {
+  if (positions[mint]) throw new Error('Already holding this mint (see /status)');
+  if (ledger.openTradeId(mint)) throw new Error('This mint has an open trade without a position — /reconcile adopt or /sell it first');
+}
+
+bot.command('buy', authGuard(idempotent(async (ctx) => {
+  const [, mint, solStr, routeArg] = ctx.message.text.trim().split(/\s+/);
   const amountSol = solStr ?? DEFAULT_BUY_SOL;
-  if (!mint) return ctx.reply('Usage: /buy <mint> [sol]');
+  if (!mint) return ctx.reply('Usage: /buy <mint> [sol] [pumpportal|native|jupiter]');
   const sol = Number(amountSol);
   if (isNaN(sol) || sol <= 0) return ctx.reply('Invalid SOL amount.');
   try {
     await verifyMintExists(mint);
-    const res = await smartBuy({ mint, amountSol: sol });
-    ctx.reply(`Bought ~${res.spentSol.toFixed(6)} SOL of ${mint}\nRoute: ${res.route}`);
+    const res = await withMintLock(mint, async () => {
+      assertNotHeld(mint);
+      const res = await smartBuy({ mint, amountSol: sol, route: routeArg?.toLowerCase() });
+      recordBuy({ mint, res, trigger: 'manual' });
+      return res;
+    }, { wait: true });
+    ctx.reply(`Bought ~${res.spentSol.toFixed(6)} SOL of ${mint}\nRoute: ${res.route}${fillNote(res)}`, positionKeyboard(mint));
   } catch (e) { ctx.reply(`Buy failed: ${e.message}`); }
-}));
+})));
 
-bot.command('sell', authGuard(async (ctx) => {
-  const [, mint, pctStr] = ctx.message.text.trim().split(/\s+/);
-  const pct = Number(pctStr ?? '100');
-  if (!mint || isNaN(pct) || pct <= 0 || pct > 100) return ctx.reply('Usage: /sell <mint> [percent 1-100]');
-  try {
+// Sell `pct` of the wallet balance under the mint lock (used by /sell and the Sell buttons).
+async function sellPercent(mint, pct, { route } = {}) {
+  return withMintLock(mint, async () => {
     const raw = await getTokenRawBalance(mint);
     if (raw <= 0n) throw new Error('No balance');
-    const toSell = (raw * BigInt(Math.floor(pct))) / 100n;
-    const res = await smartSell({ mint, amountRaw: toSell });
-    if (res.route === 'jupiter') {
-      ctx.reply(`Sold ${pct}% — received ~${(Number(res.outLamports||0n)/1e9).toFixed(6)} SOL (route: jupiter)`);
-    } else {
-      ctx.reply(`Sold ${pct}% via pumpportal (bonding curve).`);
+    const toSell = sellAmountRaw(raw, pct / 100);
+    const res = await smartSell({ mint, amountRaw: toSell, route });
+    if (recordSell({ mint, res, trigger: 'manual', final: toSell >= raw }) && positions[mint]) {
+      const wallets = (positions[mint].watch || []).map(w => w.wallet);
+      delete positions[mint]; savePositions(); unwatchWallets(wallets);
     }
+    return res;
+  }, { wait: true });
+}
+const soldText = (pct, res) => (res.outLamports
+  ? `Sold ${pct}% — received ~${(Number(res.outLamports)/1e9).toFixed(6)} SOL (route: ${res.route})`
+  : `Sold ${pct}% via ${res.route} (bonding curve).`) + partialNote(res);
+
+bot.command('sell', authGuard(idempotent(async (ctx) => {
+  const [, mint, pctStr, routeArg] = ctx.message.text.trim().split(/\s+/);
+  const pct = Number(pctStr ?? '100');
+  if (!mint || isNaN(pct) || pct <= 0 || pct > 100) return ctx.reply('Usage: /sell <mint> [percent 1-100] [pumpportal|native|jupiter]');
+  try {
+    const res = await sellPercent(mint, pct, { route: routeArg?.toLowerCase() });
+    ctx.reply(soldText(pct, res));
   } catch (e) { ctx.reply(`Sell failed: ${e.message}`); }
-}));
+})));
 
-bot.command('autobuy', authGuard(async (ctx) => {
+// Buy and open a monitored position (used by /autobuy and the /scan Buy button).
+async function autobuyMint(mint, sol, exitProfile) {
+  await verifyMintExists(mint);
+  const res = await withMintLock(mint, async () => {
+    assertNotHeld(mint);
+    const res = await smartBuy({ mint, amountSol: sol });
+    const tradeId = recordBuy({ mint, res, trigger: 'manual', profileUsed: 'SCALP-THIN' });
+    positions[mint] = newPosition({ mint, res, profileUsed: 'SCALP-THIN', tradeId, exitProfile });
+    savePositions();
+    return res;
+  }, { wait: true });
+  watchPosition(mint);
+  return res;
+}
+const autobuyText = (mint, res) =>
+  `Auto-buy ✅ ${mint}\nSpent: ${res.spentSol.toFixed(6)} SOL\nRoute: ${res.route}${fillNote(res)}\nExit: ${describeExit(positions[mint].exit)}`;
+
+bot.command('autobuy', authGuard(idempotent(async (ctx) => {
   const parts = ctx.message.text.trim().split(/\s+/);
   const mint = parts[1];
   const solStr = parts[2] || DEFAULT_BUY_SOL;
-  if (!mint) return ctx.reply(`Usage:\n  /autobuy <mint> [sol]`);
+  const exitProfile = (parts[3] || DEFAULT_EXIT).toUpperCase();
+  if (!mint) return ctx.reply(`Usage:\n  /autobuy <mint> [sol] [exit profile]`);
   const sol = Number(solStr);
   if (isNaN(sol) || sol <= 0) return ctx.reply('Invalid SOL amount.');
+  if (!EXIT_PROFILES[exitProfile]) return ctx.reply(`Unknown exit profile. Have: ${Object.keys(EXIT_PROFILES).join(', ')}`);
   try {
-    await verifyMintExists(mint);
-    const res = await smartBuy({ mint, amountSol: sol });
-    positions[mint] = {
-      mint,
-      entrySolSpent: res.spentSol,
-      entryTokenRecvRaw: (res.outRaw || 0n).toString(),
-      tpPct: SCALP_TP_PCT,
-      slPct: SCALP_SL_PCT,
-      createdAt: new Date().toISOString(),
-      lastCheck: null,
-      profileUsed: 'SCALP-THIN',
-      tookPartialTP: false
-    };
-    savePositions();
-    ctx.reply(`Auto-buy ✅ ${mint}\nSpent: ${res.spentSol.toFixed(6)} SOL\nRoute: ${res.route}\nTP: +${SCALP_TP_PCT}% | SL: -${SCALP_SL_PCT}%`);
+    const res = await autobuyMint(mint, sol, exitProfile);
+    ctx.reply(autobuyText(mint, res), positionKeyboard(mint));
   } catch (e) { ctx.reply(`Autobuy failed: ${e.message}`); }
-}));
+})));
+
+// Live PnL for a card: wallet balance marked now, plus what partial sells already returned.
+async function livePnl(p) {
+  const raw = await getTokenRawBalance(p.mint);
+  const { lamports, source } = await quoteSellValue({ mint: p.mint, amountRaw: raw });
+  const estSol = Number(lamports) / 1e9;
+  const entry = Number(p.entrySolSpent);
+  return { estSol, source, pnlPct: entry > 0 ? ((estSol + Number(p.realizedSol || 0) - entry) / entry) * 100 : null };
+}
 
-bot.command('status', authGuard((ctx) => {
-  if (!Object.keys(positions).length) return ctx.reply('No active positions.');
-  let msg = 'Active positions:\n';
-  for (const p of Object.values(positions)) {
-    msg += `\n• ${p.mint}\n  Entry: ${p.entrySolSpent} SOL for ${p.entryTokenRecvRaw} raw\n  TP: +${p.tpPct}% | SL: -${p.slPct}% (Profile: ${p.profileUsed})\n  Partial TP: ${p.tookPartialTP ? 'Yes' : 'No'}\n  Since: ${p.createdAt}\n`;
+function positionCard(p, live = null) {
+  const px = p.entryPriceSol ? ` @ ${p.entryPriceSol.toExponential(4)} SOL/token` : '';
+  const fee = p.entryFeeLamports ? `, fee ${(Number(p.entryFeeLamports)/1e9).toFixed(6)}` : '';
+  const rec = p.entryReconciled === false ? ' (unreconciled)' : '';
+  const realized = p.realizedSol ? `\n  Realized: ${Number(p.realizedSol).toFixed(6)} SOL over ${p.exits?.length || 0} sell(s)` : '';
+  let closest = '';
+  if (p.exit) {
+    const [c] = exitProximity(p, {
+      pnlPct: live?.pnlPct ?? p.lastPnlPct ?? null, mark: p.lastMark ?? null,
+      metrics: feed.metrics(p.mint), ageMs: feed.now() - Date.parse(p.createdAt)
+    });
+    if (c) closest = `\n  Closest exit: ${c.rule} (${(c.progress * 100).toFixed(0)}% — ${c.detail})`;
   }
-  ctx.reply(msg);
+  const watching = DEVWATCH.enabled ? `\n  Dev watch (≥${DEVWATCH.sellPct}%): ${describeWatch(p.watch)}` : '';
+  const pnl = live?.pnlPct != null
+    ? `\n  Live: ~${live.estSol.toFixed(6)} SOL | PnL ${live.pnlPct >= 0 ? '+' : ''}${live.pnlPct.toFixed(2)}% (mark: ${live.source}, ${new Date().toISOString().slice(11, 19)} UTC)`
+    : p.lastPnlPct != null ? `\n  PnL ~${p.lastPnlPct.toFixed(2)}% (mark: ${p.lastMarkSource || '?'})` : '';
+  return `• ${p.mint}\n  Entry: ${Number(p.entrySolSpent).toFixed(6)} SOL for ${p.entryTokenRecvRaw} raw${px}${fee}${rec}${realized}\n  Profile: ${p.profileUsed} | Phase: ${mintPhase(p.mint) || '?'}\n  Exit: ${describeExit(p.exit || exitFromLegacy(p, { partialTp: PARTIAL_TP }))}\n  Since: ${p.createdAt}${pnl}${closest}${watching}`;
+}
+
+// Card `i` of the open positions with live PnL, plus its keyboard.
+async function statusCard(i) {
+  const list = Object.values(positions);
+  if (!list.length) return { text: 'No active positions.', extra: {} };
+  const idx = Math.max(0, Math.min(i, list.length - 1));
+  const p = list[idx];
+  let live = null;
+  try { live = await livePnl(p); } catch (e) { console.warn('[Status] live PnL failed:', e.message); }
+  return { text: `📊 Position ${idx + 1}/${list.length}\n${positionCard(p, live)}`, extra: statusKeyboard(idx, list.length, p.mint) };
+}
+
+bot.command('status', authGuard(async (ctx) => {
+  const { text, extra } = await statusCard(0);
+  ctx.reply(text, extra);
 }));
 
-bot.command('cancel', authGuard((ctx) => {
+// Stop monitoring (used by /cancel and the Stop button). Waits for an exit already in flight,
+// so we never drop a position mid-sell.
+async function stopMonitoring(mint) {
+  return withMintLock(mint, async () => {
+    if (!positions[mint]) return false;
+    const wallets = (positions[mint].watch || []).map(w => w.wallet);
+    delete positions[mint];
+    savePositions();
+    unwatchWallets(wallets);
+    return true;
+  }, { wait: true });
+}
+
+bot.command('cancel', authGuard(idempotent(async (ctx) => {
   const [, mint] = ctx.message.text.trim().split(/\s+/);
   if (!mint) return ctx.reply('Usage: /cancel <mint>');
-  if (!positions[mint]) return ctx.reply('No such position.');
-  delete positions[mint];
-  savePositions();
-  ctx.reply(`Canceled monitoring for ${mint}.`);
+  ctx.reply((await stopMonitoring(mint)) ? `Canceled monitoring for ${mint}.` : 'No such position.');
+})));
+
+// -------------------- INLINE KEYBOARDS (callback data carries the mint; 64-byte limit) --------------------
+function positionKeyboard(mint) {
+  return Markup.inlineKeyboard([
+    [25, 50, 100].map(pct => Markup.button.callback(`Sell ${pct}%`, `sell:${pct}:${mint}`)),
+    [Markup.button.callback('SL → breakeven', `be:${mint}`), Markup.button.callback('Stop monitoring', `stop:${mint}`)]
+  ]);
+}
+
+function statusKeyboard(idx, total, mint) {
+  const nav = [];
+  if (idx > 0) nav.push(Markup.button.callback('◀️ Prev', `st:${idx - 1}`));
+  nav.push(Markup.button.callback('🔄 Refresh', `st:${idx}`));
+  if (idx < total - 1) nav.push(Markup.button.callback('Next ▶️', `st:${idx + 1}`));
+  return Markup.inlineKeyboard([nav, ...positionKeyboard(mint).reply_markup.inline_keyboard]);
+}
+
+function scanKeyboard(mints) {
+  return Markup.inlineKeyboard(mints.map(m => [
+    Markup.button.callback(`🟢 Buy ${m.slice(0, 4)}…`, `buy:${m}`),
+    Markup.button.callback(`🚫 Blacklist ${m.slice(0, 4)}…`, `bl:${m}`)
+  ]));
+}
+
+// Breakeven: stop at 0% PnL, keeping the rest of the exit plan. Under the lock so an exit in
+// flight can't write its older state back over ours.
+async function moveStopToBreakeven(mint) {
+  return withMintLock(mint, async () => {
+    const p = positions[mint];
+    if (!p) throw new Error('No such position');
+    if (!p.exit) p.exit = exitFromLegacy(p, { partialTp: PARTIAL_TP });
+    p.exit.state.stopPct = 0;
+    savePositions();
+    return p;
+  }, { wait: true });
+}
+
+// Every button goes through authGuard like the commands; trading buttons are idempotent per message.
+const action = (re, handler) => bot.action(re, authGuard(async (ctx) => {
+  try {
+    await handler(ctx, ...ctx.match.slice(1));
+  } catch (e) {
+    ctx.answerCbQuery().catch(() => {});
+    ctx.reply(`⚠️ ${e.message}`);
+  }
 }));
 
-bot.command('autopilot', authGuard(async (ctx) => {
+// Full exits ask first; partial sells go straight through.
+action(/^sell:(\d+):(\w+)$/, async (ctx, pctStr, mint) => {
+  const pct = Number(pctStr);
+  if (pct >= 100) {
+    await ctx.answerCbQuery();
+    return ctx.reply(`Sell 100% of ${mint}?`, Markup.inlineKeyboard([[
+      Markup.button.callback('✅ Yes, sell 100%', `sellok:${mint}`),
+      Markup.button.callback('✖️ No', 'dismiss')
+    ]]));
+  }
+  await idempotent(async () => {
+    await ctx.answerCbQuery(`Selling ${pct}%…`);
+    ctx.reply(soldText(pct, await sellPercent(mint, pct)));
+  })(ctx);
+});
+
+action(/^sellok:(\w+)$/, (ctx, mint) => idempotent(async () => {
+  await ctx.answerCbQuery('Selling 100%…');
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  ctx.reply(soldText(100, await sellPercent(mint, 100)));
+})(ctx));
+
+action('dismiss', async (ctx) => {
+  await ctx.answerCbQuery('Cancelled');
+  await ctx.deleteMessage().catch(() => {});
+});
+
+action(/^be:(\w+)$/, async (ctx, mint) => {
+  const p = await moveStopToBreakeven(mint);
+  await ctx.answerCbQuery('SL → breakeven');
+  ctx.reply(`✔️ ${mint}\nExit: ${describeExit(p.exit)}`);
+});
+
+action(/^stop:(\w+)$/, async (ctx, mint) => {
+  const gone = await stopMonitoring(mint);
+  await ctx.answerCbQuery(gone ? 'Stopped' : 'Not monitored');
+  if (gone) ctx.reply(`Canceled monitoring for ${mint}.`);
+});
+
+action(/^st:(\d+)$/, async (ctx, idxStr) => {
+  await ctx.answerCbQuery();
+  const { text, extra } = await statusCard(Number(idxStr));
+  await ctx.editMessageText(text, extra).catch(e => {
+    if (!/message is not modified/.test(e.message)) throw e;
+  });
+});
+
+action(/^buy:(\w+)$/, (ctx, mint) => idempotent(async () => {
+  await ctx.answerCbQuery(`Buying ${AUTOPILOT.budgetSol} SOL…`);
+  const res = await autobuyMint(mint, AUTOPILOT.budgetSol, AUTOPILOT.exitProfile);
+  ctx.reply(autobuyText(mint, res), positionKeyboard(mint));
+})(ctx));
+
+action(/^bl:(\w+)$/, async (ctx, mint) => {
+  if (!AUTOPILOT.blacklist.includes(mint)) { AUTOPILOT.blacklist.push(mint); saveAutopilotCfg(); }
+  await ctx.answerCbQuery('Blacklisted');
+  ctx.reply(`🚫 Blacklisted ${mint}`);
+});
+
+bot.command('autopilot', authGuard(idempotent(async (ctx) => {
   const [, sub] = ctx.message.text.trim().split(/\s+/);
 
   if (!sub || sub === 'status') {
-    const minsLeft = Math.max(0, Math.ceil((AUTOPILOT.cooldownMs - (Date.now() - AUTOPILOT.lastBuyAt)) / 60000));
+    const minsLeft = Math.max(0, Math.ceil((AUTOPILOT.cooldownMs - (feed.now() - AUTOPILOT.lastBuyAt)) / 60000));
     return ctx.reply(
 `🤖 Autopilot: ${AUTOPILOT.enabled ? 'ON' : 'OFF'}
 Budget/Buy: ${AUTOPILOT.budgetSol} SOL
 Max Open: ${AUTOPILOT.maxOpen}
+Exit profile: ${AUTOPILOT.exitProfile}
+Strategy: ${AUTOPILOT.strategy}${AUTOPILOT.shadowStrategies.length ? ` (shadow: ${AUTOPILOT.shadowStrategies.join(', ')})` : ''}
+Safety: ${AUTOPILOT.safetyEnabled ? `ON (min score ${AUTOPILOT.minSafetyScore})` : 'OFF'}
 Momentum gates:
   15s:  buys≥${AUTOPILOT.minBuys15s}  chg≥${AUTOPILOT.minChange15s}%
   30s:  buys≥${AUTOPILOT.minBuys30s}  chg≥${AUTOPILOT.minChange30s}%
    1m:  buys≥${AUTOPILOT.minBuys1m}   chg≥${AUTOPILOT.minChange1m}%
    5m:  buys≥${AUTOPILOT.minBuys5m}   chg≥${AUTOPILOT.minChange5m}%
+Flow/curve gates (0 = off):
+  1m:  buyVol≥${AUTOPILOT.minBuyVol1m}  net≥${AUTOPILOT.minNetFlow1m}  buyers≥${AUTOPILOT.minBuyers1m}  b/s≥${AUTOPILOT.minBuySellRatio1m}
+       largestBuy≤${AUTOPILOT.maxLargestBuyPct1m}%  vsVWAP≥${AUTOPILOT.minVwapPremium1m}%
+  curve: ${AUTOPILOT.minCurvePct}–${AUTOPILOT.maxCurvePct || 100}%  mcap: ${AUTOPILOT.minMcapSol}–${AUTOPILOT.maxMcapSol || '∞'} SOL
+  flow weight: ${AUTOPILOT.flowWeight}
 Cooldown: ${(AUTOPILOT.cooldownMs/60000)|0} min (next in ~${minsLeft}m)
 Blacklist (${AUTOPILOT.blacklist.length}): ${AUTOPILOT.blacklist.slice(0,5).join(', ')}${AUTOPILOT.blacklist.length>5?'…':''}`
     );
@@ -590,9 +1811,9 @@ Blacklist (${AUTOPILOT.blacklist.length}): ${AUTOPILOT.blacklist.slice(0,5).join
   if (sub === 'on') { AUTOPILOT.enabled = true; saveAutopilotCfg(); return ctx.reply('✅ Autopilot ON'); }
   if (sub === 'off') { AUTOPILOT.enabled = false; saveAutopilotCfg(); return ctx.reply('⏸️ Autopilot OFF'); }
   return ctx.reply('Usage: /autopilot on | off | status');
-}));
+})));
 
-bot.command('autofilters', authGuard((ctx) => {
+bot.command('autofilters', authGuard(idempotent((ctx) => {
   const parts = ctx.message.text.trim().split(/\s+/);
   if (parts.length === 1) {
     return ctx.reply(
@@ -607,7 +1828,28 @@ minbuys1m <N>          (current: ${AUTOPILOT.minBuys1m})
 minchg1m <PCT>         (current: ${AUTOPILOT.minChange1m})
 minbuys5m <N>          (current: ${AUTOPILOT.minBuys5m})
 minchg5m <PCT>         (current: ${AUTOPILOT.minChange5m})
+minbuyvol1m <SOL>      (current: ${AUTOPILOT.minBuyVol1m})
+minnetflow1m <SOL>     (current: ${AUTOPILOT.minNetFlow1m})
+minbuyers1m <N>        (current: ${AUTOPILOT.minBuyers1m})
+minbsratio1m <X>       (current: ${AUTOPILOT.minBuySellRatio1m})
+maxlargestbuy <PCT>    (current: ${AUTOPILOT.maxLargestBuyPct1m})
+minvwap1m <PCT>        (current: ${AUTOPILOT.minVwapPremium1m})
+mincurve <PCT>         (current: ${AUTOPILOT.minCurvePct})
+maxcurve <PCT>         (current: ${AUTOPILOT.maxCurvePct})
+minmcap <SOL>          (current: ${AUTOPILOT.minMcapSol})
+maxmcap <SOL>          (current: ${AUTOPILOT.maxMcapSol})
+flowweight <X>         (current: ${AUTOPILOT.flowWeight})
 cooldown <MINUTES>     (current: ${(AUTOPILOT.cooldownMs/60000)|0})
+exit <PROFILE>         (current: ${AUTOPILOT.exitProfile})
+safety on|off          (current: ${AUTOPILOT.safetyEnabled ? 'on' : 'off'})
+minscore <0-100>       (current: ${AUTOPILOT.minSafetyScore})
+maxtopholder <PCT>     (current: ${AUTOPILOT.maxTopHolderPct})
+maxtop10 <PCT>         (current: ${AUTOPILOT.maxTop10Pct})
+maxcreator <PCT>       (current: ${AUTOPILOT.maxCreatorPct})
+maxlaunches <N/1h>     (current: ${AUTOPILOT.maxCreatorLaunches1h})
+mintauth on|off        (reject if not revoked: ${AUTOPILOT.requireMintRevoked ? 'on' : 'off'})
+freezeauth on|off      (reject if set: ${AUTOPILOT.requireFreezeRevoked ? 'on' : 'off'})
+creatorsold on|off     (reject if creator sold: ${AUTOPILOT.rejectCreatorSold ? 'on' : 'off'})
 blacklist add <MINT> | remove <MINT> | show`
     );
   }
@@ -634,12 +1876,37 @@ blacklist add <MINT> | remove <MINT> | show`
     if (cmd === 'minbuys5m')  { AUTOPILOT.minBuys5m  = Math.floor(numOrErr(val, 'minbuys5m'));  saveAutopilotCfg(); return ctx.reply(`✔️ minBuys5m = ${AUTOPILOT.minBuys5m}`); }
     if (cmd === 'minchg5m')   { AUTOPILOT.minChange5m = numOrErr(val, 'minchg5m'); saveAutopilotCfg(); return ctx.reply(`✔️ minChange5m = ${AUTOPILOT.minChange5m}%`); }
 
+    // Flow / curve gates (0 = off)
+    const FLOW_NUM = {
+      minbuyvol1m: 'minBuyVol1m', minnetflow1m: 'minNetFlow1m', minbuyers1m: 'minBuyers1m', minbsratio1m: 'minBuySellRatio1m',
+      maxlargestbuy: 'maxLargestBuyPct1m', minvwap1m: 'minVwapPremium1m', mincurve: 'minCurvePct', maxcurve: 'maxCurvePct',
+      minmcap: 'minMcapSol', maxmcap: 'maxMcapSol', flowweight: 'flowWeight'
+    };
+    if (FLOW_NUM[cmd]) { AUTOPILOT[FLOW_NUM[cmd]] = numOrErr(val, cmd); saveAutopilotCfg(); return ctx.reply(`✔️ ${FLOW_NUM[cmd]} = ${AUTOPILOT[FLOW_NUM[cmd]]}`); }
+
     if (cmd === 'cooldown') {
       const mins = numOrErr(val, 'cooldown');
       AUTOPILOT.cooldownMs = Math.max(0, Math.floor(mins * 60 * 1000));
       saveAutopilotCfg(); return ctx.reply(`✔️ cooldown = ${(AUTOPILOT.cooldownMs/60000)|0} min`);
     }
 
+    // Safety checks
+    function onOff(v, name) {
+      const x = String(v || '').toLowerCase();
+      if (x !== 'on' && x !== 'off') throw new Error(`Usage: /autofilters ${name} on|off`);
+      return x === 'on';
+    }
+    const SAFETY_NUM = { minscore: 'minSafetyScore', maxtopholder: 'maxTopHolderPct', maxtop10: 'maxTop10Pct', maxcreator: 'maxCreatorPct', maxlaunches: 'maxCreatorLaunches1h' };
+    const SAFETY_BOOL = { safety: 'safetyEnabled', mintauth: 'requireMintRevoked', freezeauth: 'requireFreezeRevoked', creatorsold: 'rejectCreatorSold' };
+    if (SAFETY_NUM[cmd]) { AUTOPILOT[SAFETY_NUM[cmd]] = numOrErr(val, cmd); safetyCache.clear(); saveAutopilotCfg(); return ctx.reply(`✔️ ${SAFETY_NUM[cmd]} = ${AUTOPILOT[SAFETY_NUM[cmd]]}`); }
+    if (SAFETY_BOOL[cmd]) { AUTOPILOT[SAFETY_BOOL[cmd]] = onOff(val, cmd); safetyCache.clear(); saveAutopilotCfg(); return ctx.reply(`✔️ ${SAFETY_BOOL[cmd]} = ${AUTOPILOT[SAFETY_BOOL[cmd]]}`); }
+
+    if (cmd === 'exit') {
+      const name = String(val || '').toUpperCase();
+      if (!EXIT_PROFILES[name]) throw new Error(`Unknown exit profile (have: ${Object.keys(EXIT_PROFILES).join(', ')})`);
+      AUTOPILOT.exitProfile = name; saveAutopilotCfg(); return ctx.reply(`✔️ exitProfile = ${name}`);
+    }
+
     if (cmd === 'blacklist') {
       const sub = (parts[2] || '').toLowerCase();
       const mint = parts[3];
@@ -662,16 +1929,255 @@ blacklist add <MINT> | remove <MINT> | show`
 
     return ctx.reply('Unknown subcommand. Send /autofilters to see options.');
   } catch (e) { return ctx.reply(`⚠️ ${e.message}`); }
-}));
+})));
+
+// -------------------- STRATEGIES --------------------
+bot.command('strategy', authGuard(idempotent(async (ctx) => {
+  const [, sub, name, flag] = ctx.message.text.trim().split(/\s+/);
+  const key = String(name || '').toLowerCase();
+  try {
+    if (!sub || sub === 'list') {
+      const lines = [...STRATEGIES.values()].map(s => {
+        const tags = [s.name === AUTOPILOT.strategy && 'active', AUTOPILOT.shadowStrategies.includes(s.name) && 'shadow'].filter(Boolean);
+        return `• ${s.name}${tags.length ? ` [${tags.join(', ')}]` : ''} — ${s.description || s.file}`;
+      });
+      const recent = shadowRecent.slice(-5).reverse().map(e => `  ${e.ts.slice(11, 19)} ${e.strategy} ${e.mint} (score ${e.score.toFixed(1)})`);
+      return ctx.reply(`🧠 Strategies (${STRATEGIES_DIR}):\n${lines.join('\n')}${recent.length ? `\n\nRecent shadow picks:\n${recent.join('\n')}` : ''}\n\nUsage: /strategy use <name> | shadow <name> on|off | reload`);
+    }
+    if (sub === 'use') {
+      if (!STRATEGIES.has(key)) throw new Error(`Unknown strategy (have: ${[...STRATEGIES.keys()].join(', ')})`);
+      AUTOPILOT.strategy = key;
+      AUTOPILOT.shadowStrategies = AUTOPILOT.shadowStrategies.filter(n => n !== key);
+      saveAutopilotCfg();
+      return ctx.reply(`✔️ Autopilot strategy = ${key}`);
+    }
+    if (sub === 'shadow') {
+      if (!STRATEGIES.has(key)) throw new Error(`Unknown strategy (have: ${[...STRATEGIES.keys()].join(', ')})`);
+      const on = String(flag || '').toLowerCase();
+      if (on !== 'on' && on !== 'off') return ctx.reply('Usage: /strategy shadow <name> on|off');
+      if (on === 'on' && key === AUTOPILOT.strategy) throw new Error(`${key} is the active strategy`);
+      AUTOPILOT.shadowStrategies = AUTOPILOT.shadowStrategies.filter(n => n !== key);
+      if (on === 'on') AUTOPILOT.shadowStrategies.push(key);
+      saveAutopilotCfg();
+      return ctx.reply(`✔️ Shadow ${key}: ${on} (logs to ${SHADOW_LOG_FILE})`);
+    }
+    if (sub === 'reload') {
+      const next = await loadStrategies(STRATEGIES_DIR);
+      if (!next.has(AUTOPILOT.strategy)) throw new Error(`Active strategy ${AUTOPILOT.strategy} missing after reload — kept the old set`);
+      STRATEGIES = next;
+      AUTOPILOT.shadowStrategies = AUTOPILOT.shadowStrategies.filter(n => STRATEGIES.has(n));
+      saveAutopilotCfg();
+      return ctx.reply(`🔄 Reloaded ${STRATEGIES.size} strateg${STRATEGIES.size === 1 ? 'y' : 'ies'}: ${[...STRATEGIES.keys()].join(', ')}`);
+    }
+    return ctx.reply('Usage: /strategy [list] | use <name> | shadow <name> on|off | reload');
+  } catch (e) { return ctx.reply(`⚠️ ${e.message}`); }
+})));
+
+// -------------------- COPY TRADING --------------------
+bot.command('follow', authGuard(idempotent((ctx) => {
+  const [, sub, wallet, scaleStr, maxStr] = ctx.message.text.trim().split(/\s+/);
+  if (!sub || sub === 'list') {
+    const list = Object.entries(FOLLOWS);
+    if (!list.length) return ctx.reply('Not following anyone. Usage: /follow add <wallet> [scale] [maxSol]');
+    const open = (w) => Object.values(positions).filter(p => p.copy?.wallet === w).length;
+    return ctx.reply(`👥 Following (${list.length}):\n${list.map(([w, f]) => `• ${w}\n  ×${f.scale}, max ${f.maxSol} SOL/buy, ${open(w)} open`).join('\n')}`);
+  }
+  try {
+    if (sub === 'add') {
+      if (!wallet) return ctx.reply('Usage: /follow add <wallet> [scale] [maxSol]');
+      new PublicKey(wallet); // throws on a bad address
+      const scale = Number(scaleStr ?? '1');
+      const maxSol = Number(maxStr ?? DEFAULT_BUY_SOL);
+      if (!(scale > 0) || !(maxSol > 0)) throw new Error('scale and maxSol must be > 0');
+      FOLLOWS[wallet] = { scale, maxSol, addedAt: new Date().toISOString() };
+      saveFollows();
+      subs.subscribeAccounts([wallet]);
+      return ctx.reply(`✔️ Following ${wallet} (×${scale}, max ${maxSol} SOL per buy)`);
+    }
+    if (sub === 'remove') {
+      if (!FOLLOWS[wallet]) return ctx.reply('Not following that wallet.');
+      delete FOLLOWS[wallet];
+      saveFollows();
+      unwatchWallets([wallet]);
+      return ctx.reply(`✔️ Unfollowed ${wallet} (open copy positions keep their exits)`);
+    }
+  } catch (e) { return ctx.reply(`⚠️ ${e.message}`); }
+  return ctx.reply('Usage: /follow add <wallet> [scale] [maxSol] | remove <wallet> | list');
+})));
+
+// -------------------- LIMIT ORDERS / ALERTS --------------------
+// Entry price per whole token for a held position (fill price, else cost basis / tokens).
+function entryPriceOf(p) {
+  if (p?.entryPriceSol) return p.entryPriceSol;
+  const tokens = Number(p?.entryTokenRecvRaw || 0) / 10 ** PUMP_TOKEN_DECIMALS;
+  return tokens > 0 ? Number(p.entrySolSpent) / tokens : null;
+}
+
+bot.command('limit', authGuard(idempotent((ctx) => {
+  const [, side, mint, priceArg, amountArg, exitArg] = ctx.message.text.trim().split(/\s+/);
+  const usage = 'Usage:\n  /limit buy <mint> <priceSol> <sol> [exit profile]\n  /limit sell <mint> <priceSol|+pct|-pct> [percent]';
+  if (!['buy', 'sell'].includes(side) || !mint || !priceArg) return ctx.reply(usage);
+  try {
+    new PublicKey(mint);
+    const now = feed.metrics(mint)?.priceNowSol ?? null;
+    let priceSol;
+    let label = null;
+    let relativePct = null;
+    if (/^[+-]/.test(priceArg)) {
+      // Relative to our entry price: +20 = take profit at +20%, -10 = stop at -10%
+      if (side !== 'sell') throw new Error('Relative prices (+pct/-pct) are for sells of a held position');
+      const entry = entryPriceOf(positions[mint]);
+      if (!entry) throw new Error('No tracked position with an entry price for this mint');
+      const pct = Number(priceArg);
+      if (!isFinite(pct) || pct <= -100) throw new Error('Bad percent');
+      priceSol = entry * (1 + pct / 100);
+      label = `${priceArg}% vs entry`;
+      relativePct = pct;
+    } else {
+      priceSol = Number(priceArg);
+    }
+    if (!(priceSol > 0)) throw new Error('Price must be > 0 SOL per token');
+
+    let order;
+    if (side === 'buy') {
+      const sol = Number(amountArg);
+      if (!(sol > 0)) throw new Error('SOL amount must be > 0');
+      const exitProfile = exitArg ? exitArg.toUpperCase() : null;
+      if (exitProfile && !EXIT_PROFILES[exitProfile]) throw new Error(`Unknown exit profile (have: ${Object.keys(EXIT_PROFILES).join(', ')})`);
+      order = addOrder({ kind: 'limit', side, mint, priceSol, dir: limitDirection(priceSol, now), sol, exitProfile, label });
+    } else {
+      const pct = Number(amountArg ?? '100');
+      if (!(pct > 0 && pct <= 100)) throw new Error('Percent must be 1-100');
+      order = addOrder({ kind: 'limit', side, mint, priceSol, dir: limitDirection(priceSol, now, { relativePct }), pct, label });
+    }
+    ctx.reply(`✔️ ${describeOrder(order)}${now ? `\nNow: ${now.toExponential(4)} SOL` : '\n(no feed price yet — waiting for trades)'}`);
+  } catch (e) { return ctx.reply(`⚠️ ${e.message}`); }
+})));
+
+bot.command('watch', authGuard(idempotent((ctx) => {
+  const [, mint, ...rest] = ctx.message.text.trim().split(/\s+/);
+  if (!mint || !rest.length) return ctx.reply('Usage: /watch <mint> <condition>\n  e.g. price<2e-8 | chg1m>5 | buys30s>=10');
+  try {
+    new PublicKey(mint);
+    const order = addOrder({ kind: 'watch', mint, cond: parseCondition(rest.join('')) });
+    ctx.reply(`✔️ ${describeOrder(order)}`);
+  } catch (e) { return ctx.reply(`⚠️ ${e.message}`); }
+})));
+
+bot.command('orders', authGuard(idempotent((ctx) => {
+  const [, sub, idArg] = ctx.message.text.trim().split(/\s+/);
+  if (sub === 'cancel') {
+    const open = ORDERS.list.filter(o => o.status === 'open');
+    const hit = idArg === 'all' ? open : open.filter(o => o.id === Number(idArg));
+    if (!hit.length) return ctx.reply('Usage: /orders cancel <id|all> (no matching open order)');
+    for (const o of hit) o.status = 'cancelled';
+    saveOrders();
+    return ctx.reply(`✔️ Cancelled ${hit.map(o => `#${o.id}`).join(', ')}`);
+  }
+  if (sub && sub !== 'list') return ctx.reply('Usage: /orders [list] | cancel <id|all>');
+  const open = ORDERS.list.filter(o => o.status === 'open' || o.status === 'triggered');
+  const recent = ORDERS.list.filter(o => !open.includes(o)).slice(-5).reverse();
+  const icon = { filled: '✅', failed: '❌', cancelled: '🚫' };
+  ctx.reply(
+    `📋 Open orders (${open.length}):\n${open.length ? open.map(o => describeOrder(o) + (o.status === 'triggered' ? ' ⏳' : '')).join('\n') : 'none'}` +
+    (recent.length ? `\n\nRecent:\n${recent.map(o => `${icon[o.status] || ''} ${describeOrder(o)}${o.error ? ` — ${o.error}` : ''}`).join('\n')}` : '')
+  );
+})));
+
+// -------------------- RECONCILE --------------------
+bot.command('reconcile', authGuard(idempotent(async (ctx) => {
+  if (PAPER) return ctx.reply('Paper mode: positions follow paper.json holdings — nothing to reconcile against the wallet.');
+  const [, sub, target, profileArg] = ctx.message.text.trim().split(/\s+/);
+  try {
+    const r = await reconcileWallet();
+    if (!sub) return ctx.reply(`🧾 Reconcile\n${describeReconcile(r)}`);
+
+    if (sub === 'adopt') {
+      const exitProfile = (profileArg || DEFAULT_EXIT).toUpperCase();
+      if (!EXIT_PROFILES[exitProfile]) return ctx.reply(`Unknown exit profile. Have: ${Object.keys(EXIT_PROFILES).join(', ')}`);
+      const list = target === 'all' ? r.untracked : r.untracked.filter(h => h.mint === target);
+      if (!list.length) return ctx.reply('Usage: /reconcile adopt <mint|all> [exit profile] (no matching untracked holding)');
+      const lines = [];
+      for (const h of list) {
+        try {
+          const p = await adoptHolding(h.mint, h.raw, exitProfile);
+          lines.push(`✅ ${h.mint}: entry ~${p.entrySolSpent.toFixed(6)} SOL (${p.adoptedFrom === 'ledger' ? 'ledger buy' : 'current mark'}), exit ${exitProfile}`);
+        } catch (e) { lines.push(`⚠️ ${h.mint}: ${e.message}`); }
+      }
+      return ctx.reply(`Adopted:\n${lines.join('\n')}`);
+    }
+
+    if (sub === 'prune') {
+      const list = target === 'all' ? r.phantom : r.phantom.filter(m => m === target);
+      if (!list.length) return ctx.reply('Usage: /reconcile prune <mint|all> (no matching phantom position)');
+      list.forEach(prunePosition);
+      return ctx.reply(`🗑 Pruned ${list.length} position(s) with no wallet balance.`);
+    }
+
+    if (sub === 'close') {
+      if (!r.empty.length) return ctx.reply('No empty token accounts.');
+      const out = await closeEmptyAccounts(r.empty);
+      return ctx.reply(`🧹 Closed ${out.closed}/${r.empty.length} empty account(s), reclaimed ~${out.rentSol.toFixed(4)} SOL${out.errors.length ? `\n⚠️ ${out.errors.join('\n⚠️ ')}` : ''}`);
+    }
+    ctx.reply('Usage: /reconcile [adopt <mint|all> [exit profile] | prune <mint|all> | close]');
+  } catch (e) { ctx.reply(`⚠️ ${e.message}`); }
+})));
 
 // -------------------- DEBUG: /scan uses Pump signals --------------------
 bot.command('scan', authGuard(async (ctx) => {
   const cands = selectCandidatesFromPump();
-  const top = cands.slice(0, 5).map(m => {
+  const top = await Promise.all(cands.slice(0, 5).map(async ({ mint: m, score, reason }) => {
     const x = feed.metrics(m);
-    return `${m} | 15s:+${x.chg15s.toFixed(1)}%(${x.buys15s}) 30s:+${x.chg30s.toFixed(1)}%(${x.buys30s}) 1m:+${x.chg1m.toFixed(1)}%(${x.buys1m}) 5m:+${x.chg5m.toFixed(1)}%(${x.buys5m})`;
+    let safety = '';
+    if (AUTOPILOT.safetyEnabled) {
+      try {
+        const s = await safetyCheck(m);
+        safety = `\n  safety ${s.score}/100 ${s.ok ? '✅' : '❌'}${s.reasons.length ? ` — ${s.reasons.join('; ')}` : ''}`;
+      } catch (e) { safety = `\n  safety: error (${e.message})`; }
+    }
+    const lb = largestBuyPct(x);
+    const flow = `\n  1m: buy ${x.buyVol1m.toFixed(2)} / sell ${x.sellVol1m.toFixed(2)} SOL (net ${x.netFlow1m >= 0 ? '+' : ''}${x.netFlow1m.toFixed(2)}, b/s ${isFinite(x.buySellRatio1m) ? x.buySellRatio1m.toFixed(2) : '∞'})` +
+      ` | ${x.buyers1m} buyers / ${x.sellers1m} sellers | vsVWAP ${x.priceVsVwap1m.toFixed(1)}% | top buy ${x.maxBuy1m.toFixed(2)} SOL${lb != null ? ` (${lb.toFixed(0)}%)` : ''}` +
+      `\n  curve ${x.curveProgressPct != null ? x.curveProgressPct.toFixed(1) + '%' : '?'} | mcap ${x.mcapSol != null ? x.mcapSol.toFixed(1) + ' SOL' : '?'}`;
+    return `${m} | score ${score.toFixed(1)}${reason ? ` (${reason})` : ''}\n  15s:+${x.chg15s.toFixed(1)}%(${x.buys15s}) 30s:+${x.chg30s.toFixed(1)}%(${x.buys30s}) 1m:+${x.chg1m.toFixed(1)}%(${x.buys1m}) 5m:+${x.chg5m.toFixed(1)}%(${x.buys5m})${flow}${safety}`;
+  }));
+  ctx.reply(
+    `[SCAN] strategy=${AUTOPILOT.strategy} candidates=${cands.length}${top.length ? '\nTop:\n' + top.join('\n') : ''}`,
+    top.length ? scanKeyboard(cands.slice(0, 5).map(c => c.mint)) : {}
+  );
+}));
+
+// -------------------- DEBUG: /feed shows PumpPortal socket health --------------------
+bot.command('feed', authGuard((ctx) => {
+  const st = subs.stats;
+  const ago = (ts) => (ts ? `${((Date.now() - ts) / 1000).toFixed(0)}s ago` : 'never');
+  const dur = (ms) => { const m = Math.floor(ms / 60000); return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m ${Math.floor(ms / 1000) % 60}s`; };
+  const conn = REPLAY ? 'replay (no socket)'
+    : st.connectedAt && pumpWs?.readyState === WebSocket.OPEN ? `connected, up ${dur(Date.now() - st.connectedAt)}` : 'disconnected';
+  const held = [...subs.tokens.keys()].filter(m => positions[m]).length;
+  const mem = process.memoryUsage();
+  const mb = (b) => (b / 1024 / 1024).toFixed(1);
+  ctx.reply(
+`📡 Feed
+Socket: ${conn}
+Reconnects: ${st.reconnects}
+Last message: ${ago(st.lastMessageAt)}
+Rate: ${subs.messageRate().toFixed(1)} msg/s (${st.messages} total)
+Subscribed mints: ${subs.tokens.size} (${held} held)
+Watched wallets: ${subs.accounts.size}
+Tracked buckets: ${feed.byMint.size} (evicted ${st.evicted}, idle after ${PUMP_IDLE_EVICT_MIN}m)
+Memory: rss ${mb(mem.rss)} MB, heap ${mb(mem.heapUsed)}/${mb(mem.heapTotal)} MB`
+  );
+}));
+
+bot.command('txstats', authGuard(async (ctx) => {
+  const feeSol = await sender.priorityFeeSol();
+  const rows = [...sender.latency].map(([route, s]) => {
+    const avg = s.landed ? `avg ${(s.totalMs / s.landed / 1000).toFixed(1)}s, last ${(s.lastMs / 1000).toFixed(1)}s, max ${(s.maxMs / 1000).toFixed(1)}s` : 'no landings';
+    const kinds = Object.entries(s.kinds).map(([k, n]) => `${k} ${n}`).join(', ');
+    return `• ${route}: ${s.landed} landed, ${s.failed} failed${kinds ? ` (${kinds})` : ''}\n  ${avg}`;
   });
-  ctx.reply(`[SCAN] candidates=${cands.length}${top.length ? '\nTop:\n' + top.join('\n') : ''}`);
+  ctx.reply(`🛰 Transactions (since start)\nPriority fee now: ${feeSol.toFixed(6)} SOL\n${rows.length ? rows.join('\n') : 'No transactions sent yet.'}`);
 }));
 
 // Try a tiny test route for a mint (Jupiter sanity)
@@ -696,7 +2202,7 @@ bot.command('autosim', authGuard(async (ctx) => {
       amountRaw: String(Math.max(1n, BigInt(buyRoute?.outAmount || 0) / 5n)),
       slippageBps: THIN.SLIPPAGE_BASE
     });
-    const impact = Number(buyRoute?.priceImpactPct ?? NaN);
+    const impact = extractImpactPct(buyRoute);
     ctx.reply(
       `Autosim ✅\nMint: ${mint}\nIn: ${(lamports/1e9).toFixed(6)} SOL → OutRaw: ${buyRoute?.outAmount}\nPriceImpact: ${isFinite(impact)?impact.toFixed(2):'n/a'}%\nSellRouteOutLamports: ~${(Number(sellRoute?.outAmount||0)/1e9).toFixed(6)} SOL`
     );
@@ -705,60 +2211,247 @@ bot.command('autosim', authGuard(async (ctx) => {
   }
 }));
 
-// -------------------- MONITOR LOOP: TP/SL (uses Jupiter mark for P&L) --------------------
-async function monitorPositions() {
-  const now = new Date().toISOString();
-  for (const mint of Object.keys(positions)) {
+bot.command('pnl', authGuard((ctx) => {
+  const [, rangeArg] = ctx.message.text.trim().split(/\s+/);
+  const range = (rangeArg || 'today').toLowerCase();
+  const DAY = 24 * 60 * 60 * 1000;
+  const startOfDay = new Date(); startOfDay.setUTCHours(0, 0, 0, 0);
+  const since = range === 'today' ? startOfDay.getTime() : range === '7d' ? Date.now() - 7 * DAY : range === 'all' ? 0 : null;
+  if (since == null) return ctx.reply('Usage: /pnl [today|7d|all]');
+
+  const trades = buildTrades(ledger.entries).filter(t => t.paper === PAPER);
+  const closed = trades.filter(t => t.closedAt && Date.parse(t.closedAt) >= since);
+  const openCount = trades.filter(t => !t.closedAt).length;
+
+  const fmtTrade = (t) => t ? `${t.pnlSol >= 0 ? '+' : ''}${t.pnlSol.toFixed(4)} SOL (${t.pnlPct.toFixed(1)}%) ${t.mint.slice(0, 6)}…` : 'n/a';
+  const block = (label, list) => {
+    const x = summarize(list);
+    if (!x.count) return `${label}: no closed trades`;
+    return `${label}: ${x.count} trades | PnL ${x.pnlSol >= 0 ? '+' : ''}${x.pnlSol.toFixed(4)} SOL | win ${x.winRate.toFixed(0)}% | avg hold ${(x.avgHoldMs / 60000).toFixed(1)}m
+  best ${fmtTrade(x.best)}
+  worst ${fmtTrade(x.worst)}`;
+  };
+
+  ctx.reply(
+`📒 Realized PnL (${range}${PAPER ? ', paper' : ''})
+${block('All', closed)}
+${block('Manual', closed.filter(t => t.source !== 'autopilot' && t.source !== 'copy'))}
+${block('Autopilot', closed.filter(t => t.source === 'autopilot'))}
+${block('Copy', closed.filter(t => t.source === 'copy'))}
+Open trades in ledger: ${openCount}`
+  );
+}));
+
+bot.command('risk', authGuard(idempotent(async (ctx) => {
+  const [, sub, key, val] = ctx.message.text.trim().split(/\s+/);
+
+  if (!sub || sub === 'status') {
+    const trades = ledgerTrades();
+    const paused = RISK.pausedUntil > Date.now();
+    let bal = 'n/a';
+    try { bal = (PAPER ? paper.sol : (await connection.getBalance(keypair.publicKey)) / 1e9).toFixed(4); } catch {}
+    return ctx.reply(
+`🛡️ Risk: ${RISK.enabled ? 'ON' : 'OFF'}${paused ? ` — PAUSED until ${new Date(RISK.pausedUntil).toISOString()} (${RISK.trippedReason})` : ''}
+maxexposure <SOL>   ${RISK.maxExposureSol}  (open: ${exposureSol(positions, trades).toFixed(4)})
+dailyloss <SOL>     ${RISK.dailyLossLimitSol}  (today: ${dailyRealizedSol(trades).toFixed(4)})
+reserve <SOL>       ${RISK.minReserveSol}  (balance: ${bal})
+maxlosses <N>       ${RISK.maxConsecLosses}  (streak: ${lossStreak(trades, RISK.streakResetAt)})
+pausemin <MIN>      ${RISK.pauseMin}
+Use /risk set <key> <value> | resume | on | off`
+    );
+  }
+  if (sub === 'on' || sub === 'off') { RISK.enabled = sub === 'on'; saveRiskCfg(); return ctx.reply(`🛡️ Risk checks ${sub.toUpperCase()}`); }
+  if (sub === 'resume') {
+    Object.assign(RISK, { pausedUntil: 0, trippedReason: null, streakResetAt: Date.now() });
+    saveRiskCfg();
+    return ctx.reply('▶️ Risk pause cleared; loss streak reset. (Daily loss limit still applies — raise it to trade again today.) Autopilot stays OFF until /autopilot on.');
+  }
+  if (sub === 'set') {
+    const KEYS = {
+      maxexposure: 'maxExposureSol', dailyloss: 'dailyLossLimitSol', reserve: 'minReserveSol',
+      maxlosses: 'maxConsecLosses', pausemin: 'pauseMin'
+    };
+    const field = KEYS[String(key || '').toLowerCase()];
+    const n = Number(val);
+    if (!field || !isFinite(n) || n < 0) return ctx.reply(`Usage: /risk set <${Object.keys(KEYS).join('|')}> <value>`);
+    RISK[field] = field === 'maxConsecLosses' ? Math.floor(n) : n;
+    saveRiskCfg();
+    return ctx.reply(`✔️ ${field} = ${RISK[field]}`);
+  }
+  return ctx.reply('Usage: /risk [status] | set <key> <value> | resume | on | off');
+})));
+
+bot.command('exits', authGuard(idempotent((ctx) => {
+  const [, sub, mint, name] = ctx.message.text.trim().split(/\s+/);
+  if (!sub) {
+    const lines = Object.keys(EXIT_PROFILES).map(k => `• ${describeExit(makeExit(k))}${k === DEFAULT_EXIT ? '  (default)' : ''}`);
+    return ctx.reply(`Exit profiles:\n${lines.join('\n')}\n\nUse: /autobuy <mint> [sol] <profile>, /autofilters exit <profile>, /exits set <mint> <profile>`);
+  }
+  if (sub === 'set') {
+    if (!mint || !name) return ctx.reply('Usage: /exits set <mint> <profile>');
+    if (!positions[mint]) return ctx.reply('No such position.');
     try {
-      const p = positions[mint];
-      const tokenBalRaw = await getTokenRawBalance(mint);
-      if (tokenBalRaw <= 0n) { delete positions[mint]; savePositions(); continue; }
+      const exit = makeExit(name);
+      // Keep progress already made (steps taken / amount sold) when switching mid-trade
+      exit.state = carryExitState(positions[mint].exit, exit);
+      positions[mint].exit = exit; savePositions();
+      return ctx.reply(`✔️ ${mint}\nExit: ${describeExit(exit)}`);
+    } catch (e) { return ctx.reply(`⚠️ ${e.message}`); }
+  }
+  return ctx.reply('Usage: /exits | /exits set <mint> <profile>');
+})));
+
+// -------------------- USERS (admin) --------------------
+function describeUsers() {
+  const lines = [
+    ...ACCESS.admins.map(id => `• ${id}: admin (env)`),
+    ...Object.entries(ACL.users).map(([id, u]) => `• ${id}${u.name ? ` (${u.name})` : ''}: ${u.role}`),
+    ...ACCESS.chats.map(id => `• chat ${id}: ${ACCESS.chatRole} for everyone (env)`)
+  ];
+  const subs = Object.entries(ACL.subscribers).map(([id, s]) => `• ${id}: ${s.events.join(', ')}`);
+  return `👤 Users:\n${lines.join('\n') || '(none)'}\n\n🔔 Notifications:\n${subs.join('\n') || '(none — nothing is sent)'}`;
+}
 
-      const estLamports = await estimateSolForToken({ mint, amountRaw: tokenBalRaw });
-      const estSol = Number(estLamports) / 1e9;
-      const entrySol = Number(p.entrySolSpent);
-      if (entrySol <= 0) continue;
+bot.command('users', authGuard(idempotent((ctx) => {
+  const [, sub, target, ...rest] = ctx.message.text.trim().split(/\s+/);
+  try {
+    if (!sub || sub === 'list') return ctx.reply(describeUsers());
+
+    if (sub === 'add') {
+      const role = String(rest[0] || '').toLowerCase();
+      if (!/^-?\d+$/.test(target || '') || !ROLES.includes(role)) return ctx.reply(`Usage: /users add <userId> <${ROLES.join('|')}> [name]`);
+      if (ACCESS.admins.includes(target)) throw new Error(`${target} is an admin via TELEGRAM_ALLOWED_USER_ID`);
+      ACL.users[target] = { role, name: rest.slice(1).join(' ') || null, addedBy: String(ctx.from?.id), addedAt: new Date().toISOString() };
+      saveAcl();
+      return ctx.reply(`✔️ ${target} is now ${role}.`);
+    }
+
+    if (sub === 'remove') {
+      if (!target) return ctx.reply('Usage: /users remove <userId>');
+      if (ACCESS.admins.includes(target)) throw new Error(`${target} is an admin via TELEGRAM_ALLOWED_USER_ID`);
+      if (!ACL.users[target]) return ctx.reply('No such user.');
+      delete ACL.users[target];
+      saveAcl();
+      return ctx.reply(`✔️ Removed ${target}.`);
+    }
 
-      const pnlPct = ((estSol - entrySol) / entrySol) * 100;
-      positions[mint].lastCheck = now;
+    // 'here' = this chat; events default to all
+    if (sub === 'subscribe') {
+      if (!target) return ctx.reply(`Usage: /users subscribe <chatId|here> [${EVENTS.join(' ')}|all]`);
+      const chatId = target === 'here' ? String(ctx.chat.id) : target;
+      const events = parseEvents(rest.map(e => e.toLowerCase()));
+      ACL.subscribers[chatId] = { events, addedAt: ACL.subscribers[chatId]?.addedAt || new Date().toISOString() };
+      saveAcl();
+      return ctx.reply(`🔔 ${chatId} gets: ${events.join(', ')}`);
+    }
 
-      const hitTP = pnlPct >= p.tpPct;
-      const hitSL = pnlPct <= -p.slPct;
+    if (sub === 'unsubscribe') {
+      if (!target) return ctx.reply('Usage: /users unsubscribe <chatId|here>');
+      const chatId = target === 'here' ? String(ctx.chat.id) : target;
+      if (!ACL.subscribers[chatId]) return ctx.reply('Not subscribed.');
+      delete ACL.subscribers[chatId];
+      saveAcl();
+      return ctx.reply(`🔕 ${chatId} unsubscribed.`);
+    }
 
-      if (!hitTP && !hitSL) continue;
+    ctx.reply(`Usage: /users [list]\n/users add <userId> <${ROLES.join('|')}> [name]\n/users remove <userId>\n/users subscribe <chatId|here> [${EVENTS.join(' ')}|all]\n/users unsubscribe <chatId|here>`);
+  } catch (e) { ctx.reply(`⚠️ ${e.message}`); }
+})));
 
-      if (hitSL) {
-        const res = await smartSell({ mint, amountRaw: tokenBalRaw });
-        if (lastChatId) bot.telegram.sendMessage(lastChatId, `🔻 SL hit ${mint} at ~${pnlPct.toFixed(2)}%\nExited${res.route==='jupiter'?` ~${(Number(res.outLamports||0n)/1e9).toFixed(6)} SOL`:''}.`);
-        delete positions[mint]; savePositions(); continue;
-      }
+bot.command('paper', authGuard(idempotent((ctx) => {
+  const [, sub, solStr] = ctx.message.text.trim().split(/\s+/);
+  if (!PAPER) return ctx.reply('Paper trading is off. Set PAPER_TRADING=true and restart.');
 
-      if (hitTP) {
-        // FULL EXIT on TP when partials disabled
-        if (String(PARTIAL_TP_ENABLED || 'false').toLowerCase() !== 'true') {
-          const res = await smartSell({ mint, amountRaw: tokenBalRaw });
-          if (lastChatId) bot.telegram.sendMessage(
-            lastChatId,
-            `🏁 TP hit ${mint} at ~${pnlPct.toFixed(2)}%\nExited 100%${res.route==='jupiter'?` — ~${(Number(res.outLamports||0n)/1e9).toFixed(6)} SOL`:''}.`
-          );
-          delete positions[mint]; savePositions(); continue;
-        }
-
-        // partial TP then final
-        if (!p.tookPartialTP) {
-          const toSell = tokenBalRaw / 2n;
-          if (toSell > 0n) {
-            const res = await smartSell({ mint, amountRaw: toSell });
-            positions[mint].slPct = 0; positions[mint].tookPartialTP = true; savePositions();
-            if (lastChatId) bot.telegram.sendMessage(lastChatId, `✅ Partial TP ${mint} at ~${pnlPct.toFixed(2)}%\nSold 50%${res.route==='jupiter'?` — ~${(Number(res.outLamports||0n)/1e9).toFixed(6)} SOL`:''}. SL → breakeven.`);
-          }
-          continue;
-        } else {
-          const res = await smartSell({ mint, amountRaw: tokenBalRaw });
-          if (lastChatId) bot.telegram.sendMessage(lastChatId, `🏁 Final TP ${mint} at ~${pnlPct.toFixed(2)}%\nExited${res.route==='jupiter'?` ~${(Number(res.outLamports||0n)/1e9).toFixed(6)} SOL`:''}.`);
-          delete positions[mint]; savePositions(); continue;
-        }
-      }
+  if (!sub || sub === 'status') {
+    const lines = Object.entries(paper.holdings).map(([mint, raw]) => {
+      const px = feed.byMint.get(mint)?.lastPriceSol;
+      const mark = px ? ` ≈ ${(Number(raw) / 10 ** PUMP_TOKEN_DECIMALS * px).toFixed(6)} SOL` : '';
+      return `• ${mint}: ${raw} raw${mark}`;
+    });
+    return ctx.reply(
+`📝 Paper account
+SOL: ${paper.sol.toFixed(6)} (start ${paper.startSol})
+Fills: ${paper.fills}
+Model: slip ${PAPER_SLIPPAGE_BPS}bps, fee ${PAPER_FEE_BPS}bps, tx ${PAPER_TX_FEE_SOL} SOL${lines.length ? '\nHoldings:\n' + lines.join('\n') : ''}`
+    );
+  }
+  if (sub === 'reset') {
+    const sol = Number(solStr ?? PAPER_START_SOL);
+    if (!isFinite(sol) || sol <= 0) return ctx.reply('Usage: /paper reset [sol]');
+    Object.assign(paper, { sol, startSol: sol, holdings: {}, fills: 0 });
+    savePaper();
+    for (const mint of Object.keys(positions)) delete positions[mint];
+    savePositions();
+    return ctx.reply(`📝 Paper account reset to ${sol} SOL; positions cleared.`);
+  }
+  return ctx.reply('Usage: /paper status | reset [sol]');
+})));
+
+// -------------------- MONITOR LOOP: TP/SL (curve mark pre-migration, Jupiter after) --------------------
+// One mint's exit check; runs under the mint lock (from the poll loop or a trade tick).
+async function checkPosition(mint) {
+  const p = positions[mint];
+  if (!p) return;
+  const tokenBalRaw = await getTokenRawBalance(mint);
+  if (tokenBalRaw <= 0n) {
+    recordExternalClose(mint);
+    delete positions[mint]; savePositions(); unwatchWallets((p.watch || []).map(w => w.wallet));
+    return;
+  }
+
+  const { lamports: estLamports, source: markSource } = await quoteSellValue({ mint, amountRaw: tokenBalRaw });
+  const estSol = Number(estLamports) / 1e9;
+  const entrySol = Number(p.entrySolSpent);
+  if (entrySol <= 0) return;
+
+  // Realized proceeds from earlier partial sells count toward the position's PnL
+  const pnlPct = ((estSol + Number(p.realizedSol || 0) - entrySol) / entrySol) * 100;
+  p.lastCheck = new Date().toISOString();
+
+  if (!p.exit) p.exit = exitFromLegacy(p, { partialTp: PARTIAL_TP });
+  const mark = estSol / (Number(tokenBalRaw) / 10 ** PUMP_TOKEN_DECIMALS);
+  const metrics = feed.metrics(mint);
+  const ageMs = feed.now() - Date.parse(p.createdAt);
+  const before = JSON.stringify(p.exit.state);
+  const { state, exit } = evaluateExit(p, { pnlPct, mark, metrics, now: feed.now(), ageMs });
+  p.exit.state = state;
+  p.lastPnlPct = pnlPct; p.lastMark = mark; p.lastMarkSource = markSource;
+  if (!exit) {
+    // Peak/trail/decay state changed → durable now; otherwise only the last mark moved
+    if (JSON.stringify(state) !== before) savePositions(); else savePositionsLazy();
+    return;
+  }
+
+  const toSell = sellAmountRaw(tokenBalRaw, exit.fraction);
+  if (toSell <= 0n) return;
+  const res = await smartSell({ mint, amountRaw: toSell });
+  const closed = recordSell({ mint, res, trigger: exit.trigger, final: exit.final });
+  const got = res.outLamports ? ` — ~${(Number(res.outLamports)/1e9).toFixed(6)} SOL` : '';
+
+  if (exit.final && !closed) {
+    // Exit stands; the next tick sells what's left
+    savePositions();
+    notify('tpsl', `⚠️ ${exit.label} ${mint} at ~${pnlPct.toFixed(2)}%: sold${got} but ${res.remainingRaw} raw is still held — retrying on the next check.`);
+    return;
+  }
+  if (exit.final) {
+    const icon = { ladder: '🏁', trail: '📉', time: '⏱️', decay: '💤' }[exit.kind] || '🔻';
+    notify('tpsl', `${icon} ${exit.label} ${mint} at ~${pnlPct.toFixed(2)}% (mark: ${markSource})\nExited 100%${got}.`);
+    delete positions[mint]; savePositions(); unwatchWallets((p.watch || []).map(w => w.wallet));
+    return;
+  }
+
+  Object.assign(p.exit.state, exit.after); savePositions();
+  const be = exit.after.stopPct === 0 && state.stopPct !== 0 ? ' SL → breakeven.' : '';
+  notify('tpsl', `✅ ${exit.label} ${mint} at ~${pnlPct.toFixed(2)}% (mark: ${markSource})\nSold ${(exit.fraction * 100).toFixed(0)}% of holdings${got}.${be}\n${describeExit(p.exit)}`, positionKeyboard(mint));
+}
+
+// Poll fallback for when trade ticks are off or a mint has gone quiet.
+async function monitorPositions() {
+  for (const mint of Object.keys(positions)) {
+    if (exitingMints.has(mint)) continue;
+    try {
+      await withMintLock(mint, () => checkPosition(mint));
     } catch (err) {
       console.error('[Monitor error]', mint, err.message);
     }
@@ -766,96 +2459,142 @@ async function monitorPositions() {
 }
 setInterval(monitorPositions, Number(POLL_SECONDS) * 1000);
 
+// -------------------- AUTOPILOT: pre-buy safety (cached briefly; holders move fast) --------------------
+const SAFETY_TTL_MS = 20 * 1000;
+const safetyCache = new Map(); // mint -> { at, result }
+async function safetyCheck(mint) {
+  const hit = safetyCache.get(mint);
+  if (hit && Date.now() - hit.at < SAFETY_TTL_MS) return hit.result;
+  const bucket = feed.byMint.get(mint);
+  const result = await scoreMintSafety(connection, mint, AUTOPILOT, { bucket, launches: feed.launchesBy(bucket?.creator) });
+  safetyCache.set(mint, { at: Date.now(), result });
+  return result;
+}
+
 // -------------------- AUTOPILOT: candidate selection from Pump signals --------------------
+// Ranked verdicts ({ mint, score, exitProfile, reason }) from the active strategy.
 function selectCandidatesFromPump() {
-  const openCount = Object.keys(positions).length;
-  const room = Math.max(0, AUTOPILOT.maxOpen - openCount);
-  if (room === 0) return [];
-
-  const now = Date.now();
-  const picks = [];
-
-  for (const [mint, _bucket] of feed.byMint.entries()) {
-    if (AUTOPILOT.blacklist.includes(mint)) continue;
-    if (positions[mint]) continue;
+  return rankCandidates({ feed, cfg: AUTOPILOT, positions, strategy: activeStrategy() });
+}
 
-    const baseLast = AUTOPILOT.lastTried[mint] || 0;
-    if (now - baseLast < AUTOPILOT.cooldownMs) continue;
+// Shadow strategies log what they would have bought (console + shadow.jsonl) and never trade.
+// Each logs a mint at most once per cooldown window; held mints and maxOpen don't apply.
+const SHADOW_LOG_FILE = './shadow.jsonl';
+const shadowSeen = new Map(); // `${strategy}:${mint}` -> ts
+const shadowRecent = [];      // last picks for /strategy
+function runShadow(mints) {
+  if (!AUTOPILOT.shadowStrategies.length) return;
+  const now = feed.now();
+  const cfg = { ...AUTOPILOT, lastTried: {} };
+  for (const name of AUTOPILOT.shadowStrategies) {
+    const strategy = STRATEGIES.get(name);
+    if (!strategy) continue;
+    for (const mint of mints) {
+      const key = `${name}:${mint}`;
+      if (now - (shadowSeen.get(key) || 0) < AUTOPILOT.cooldownMs) continue;
+      const v = evaluateMint({ feed, cfg, positions: {}, mint, strategy, now });
+      if (!v) continue;
+      shadowSeen.set(key, now);
+      const entry = { ts: new Date(now).toISOString(), strategy: name, mint, score: v.score, exitProfile: v.exitProfile, reason: v.reason, priceSol: feed.metrics(mint)?.priceNowSol ?? null };
+      shadowRecent.push(entry); if (shadowRecent.length > 50) shadowRecent.shift();
+      fs.appendFile(SHADOW_LOG_FILE, JSON.stringify(entry) + '\n', () => {});
+      console.log(`[Shadow ${name}] would buy ${mint} (score ${v.score.toFixed(1)}${v.reason ? `, ${v.reason}` : ''})`);
+    }
+  }
+  if (shadowSeen.size > 20000) shadowSeen.clear();
+}
 
-    const m = feed.metrics(mint);
-    if (!m || !isFinite(m.priceNowSol) || m.priceNowSol <= 0) continue;
+// Safety check + buy + open the position for one candidate. Returns true when we bought.
+async function autopilotBuy(mint, verdict = {}) {
+  AUTOPILOT.lastTried[mint] = feed.now(); saveAutopilotCfgLazy(); // retry throttle only
+  await verifyMintExists(mint);
 
-    // Momentum gates (sub-minute first)
-    if (m.buys15s  < AUTOPILOT.minBuys15s)    continue;
-    if (m.chg15s   < AUTOPILOT.minChange15s)  continue;
-    if (m.buys30s  < AUTOPILOT.minBuys30s)    continue;
-    if (m.chg30s   < AUTOPILOT.minChange30s)  continue;
+  let safetyNote = '';
+  if (AUTOPILOT.safetyEnabled) {
+    const safety = await safetyCheck(mint);
+    if (!safety.ok) { console.log(`[Autopilot] safety reject ${mint} (score ${safety.score}): ${safety.reasons.join('; ')}`); return false; }
+    safetyNote = `\nSafety: ${safety.score}/100${safety.reasons.length ? ` (${safety.reasons.join('; ')})` : ''}`;
+  }
 
-    // Minute/5m
-    if (m.buys1m   < AUTOPILOT.minBuys1m)     continue;
-    if (m.chg1m    < AUTOPILOT.minChange1m)   continue;
-    if (m.buys5m   < AUTOPILOT.minBuys5m)     continue;
-    if (m.chg5m    < AUTOPILOT.minChange5m)   continue;
+  const res = await smartBuy({ mint, amountSol: AUTOPILOT.budgetSol });
 
-    // Score with extra weight to sub-minute bursts + 1m momo
-    const w = AUTOPILOT.momoWeight || 1.8;
-    const score =
-      (m.buys15s * 2.5) + (m.chg15s * 3.0) +
-      (m.buys30s * 1.8) + (m.chg30s * 2.2) +
-      (m.buys1m  * 1.2 * w) + (m.chg1m * 1.5 * w) +
-      (m.buys5m  * 0.8) + (m.chg5m * 1.0);
+  // Strategies may name an exit profile per candidate; unknown names fall back to the autopilot default
+  const exitProfile = resolveExitName(verdict.exitProfile, EXIT_PROFILES, AUTOPILOT.exitProfile);
+  const tradeId = recordBuy({ mint, res, trigger: 'autopilot', profileUsed: 'SCALP-THIN-AUTO(PUMP)', strategy: AUTOPILOT.strategy });
+  positions[mint] = newPosition({ mint, res, profileUsed: 'SCALP-THIN-AUTO(PUMP)', tradeId, exitProfile });
+  positions[mint].strategy = AUTOPILOT.strategy;
+  savePositions();
+  watchPosition(mint);
 
-    picks.push({ mint, score });
-  }
+  AUTOPILOT.lastBuyAt = feed.now(); saveAutopilotCfg();
 
-  return picks.sort((a,b)=>b.score - a.score).slice(0, room).map(p => p.mint);
+  const why = `\nStrategy: ${AUTOPILOT.strategy} (score ${Number(verdict.score || 0).toFixed(1)}${verdict.reason ? `, ${verdict.reason}` : ''})`;
+  const msg = `🤖 Autopilot BUY (Pump)\nMint: ${mint}${why}\nSpent: ${res.spentSol.toFixed(6)} SOL\nRoute: ${res.route}${fillNote(res)}${safetyNote}\nExit: ${describeExit(positions[mint].exit)}`;
+  console.log(msg);
+  notify('autopilot', msg, positionKeyboard(mint));
+  return true;
 }
 
+// Only one autopilot entry at a time, so the loop and trade ticks can't overshoot maxOpen/cooldown.
+let autopilotBusy = false;
 async function autopilotLoop() {
-  if (!AUTOPILOT.enabled) return;
+  runShadow([...feed.byMint.keys()]);
+  if (!AUTOPILOT.enabled || autopilotBusy) return;
+  autopilotBusy = true;
   try {
-    if (Date.now() - AUTOPILOT.lastBuyAt < AUTOPILOT.cooldownMs) return;
+    if (feed.now() - AUTOPILOT.lastBuyAt < AUTOPILOT.cooldownMs) return;
 
     const candidates = selectCandidatesFromPump();
     if (!candidates.length) return;
 
-    for (const mint of candidates) {
+    for (const v of candidates) {
+      const { mint } = v;
       try {
-        AUTOPILOT.lastTried[mint] = Date.now(); saveAutopilotCfg();
-        await verifyMintExists(mint);
-
-        const res = await smartBuy({ mint, amountSol: AUTOPILOT.budgetSol });
-
-        positions[mint] = {
-          mint,
-          entrySolSpent: res.spentSol,
-          entryTokenRecvRaw: (res.outRaw || 0n).toString(),
-          tpPct: SCALP_TP_PCT,
-          slPct: SCALP_SL_PCT,
-          createdAt: new Date().toISOString(),
-          lastCheck: null,
-          profileUsed: 'SCALP-THIN-AUTO(PUMP)',
-          tookPartialTP: false
-        };
-        savePositions();
-
-        AUTOPILOT.lastBuyAt = Date.now(); saveAutopilotCfg();
-
-        const msg = `🤖 Autopilot BUY (Pump)\nMint: ${mint}\nSpent: ${res.spentSol.toFixed(6)} SOL\nRoute: ${res.route}\nTP: +${SCALP_TP_PCT}% | SL: -${SCALP_SL_PCT}%`;
-        console.log(msg);
-        if (lastChatId) bot.telegram.sendMessage(lastChatId, msg);
-
-        break; // one buy per cooldown
+        if (await withMintLock(mint, () => autopilotBuy(mint, v))) break; // one buy per cooldown
       } catch (e) {
         console.error('[Autopilot buy error]', mint, e.message);
       }
     }
   } catch (e) {
     console.error('[Autopilot loop]', e.message);
+  } finally {
+    autopilotBusy = false;
   }
 }
 setInterval(autopilotLoop, 60 * 1000);
 
+// -------------------- EVENT-DRIVEN: per-trade exit checks + autopilot entries --------------------
+const EVENT_MODE = String(EVENT_DRIVEN).toLowerCase() === 'true';
+const tickTimers = new Map(); // mint -> pending debounce timer
+
+function onTradeTick(mint) {
+  if (!EVENT_MODE || !mint || tickTimers.has(mint)) return;
+  tickTimers.set(mint, setTimeout(() => {
+    tickTimers.delete(mint);
+    runTradeTick(mint).catch(e => console.error('[Tick]', mint, e.message));
+  }, Number(EVENT_DEBOUNCE_MS)));
+}
+
+async function runTradeTick(mint) {
+  if (positions[mint]) {
+    if (!exitingMints.has(mint)) await withMintLock(mint, () => checkPosition(mint));
+    return;
+  }
+  runShadow([mint]);
+  if (!AUTOPILOT.enabled || autopilotBusy) return;
+  if (feed.now() - AUTOPILOT.lastBuyAt < AUTOPILOT.cooldownMs) return;
+  if (Object.keys(positions).length >= AUTOPILOT.maxOpen) return;
+  const verdict = evaluateMint({ feed, cfg: AUTOPILOT, positions, mint, strategy: activeStrategy() });
+  if (!verdict) return;
+
+  autopilotBusy = true;
+  try {
+    await withMintLock(mint, () => autopilotBuy(mint, verdict));
+  } finally {
+    autopilotBusy = false;
+  }
+}
+
 // -------------------- START --------------------
 async function assertTelegramToken() {
   try {
@@ -885,5 +2624,16 @@ async function resetWebhookAndLaunch() {
 }
 resetWebhookAndLaunch();
 
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+if (!PAPER && String(RECONCILE_ON_START).toLowerCase() === 'true') {
+  reconcileWallet().then(r => {
+    console.log(`[Reconcile] ${r.untracked.length} untracked, ${r.phantom.length} phantom, ${r.empty.length} empty token account(s)`);
+    for (const h of r.untracked) console.log(`[Reconcile] untracked ${h.mint} (${h.raw} raw) — /reconcile adopt`);
+    for (const m of r.phantom) console.log(`[Reconcile] phantom position ${m} (zero balance) — /reconcile prune`);
+    for (const t of r.stale) console.log(`[Reconcile] closed open trade ${t.tradeId} (${t.mint}): nothing left in the wallet`);
+    const note = reconcileNote();
+    if (note) notify('errors', note.trim());
+  }).catch(e => console.error('[Reconcile]', e.message));
+}
+
+process.once('SIGINT', () => { recorder?.close(); bot.stop('SIGINT'); });
+process.once('SIGTERM', () => { recorder?.close(); bot.stop('SIGTERM'); });
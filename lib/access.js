@@ -0,0 +1,61 @@
+// lib/access.js — roles, per-command permissions and notification subscribers.
+// Roles are ordered (viewer < trader < admin): viewers read, traders trade, admins change bot-wide
+// config and manage users. Notifications go to explicit subscribers, each with its own event types.
+
+export const ROLES = ['viewer', 'trader', 'admin'];
+export const EVENTS = ['fills', 'tpsl', 'autopilot', 'alerts', 'errors'];
+
+export function accessFromEnv(env = process.env) {
+  const list = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+  const chatRole = String(env.TELEGRAM_CHAT_ROLE ?? 'trader').toLowerCase();
+  if (!ROLES.includes(chatRole)) throw new Error(`TELEGRAM_CHAT_ROLE must be one of ${ROLES.join(', ')}`);
+  return {
+    admins: list(env.TELEGRAM_ALLOWED_USER_ID), // always admin; can't be changed from /users
+    chats: list(env.TELEGRAM_ALLOWED_CHAT_ID),  // anyone in these chats gets `chatRole`
+    chatRole
+  };
+}
+
+const rank = (role) => ROLES.indexOf(role);
+export const hasRole = (role, needed) => role != null && rank(role) >= rank(needed);
+
+// Highest role that applies to this user in this chat, or null. `users` is { userId: { role } }.
+export function roleOf({ userId, chatId }, users, cfg) {
+  const roles = [];
+  if (cfg.admins.includes(userId)) roles.push('admin');
+  if (users[userId]) roles.push(users[userId].role);
+  if (cfg.chats.includes(chatId)) roles.push(cfg.chatRole);
+  return roles.sort((a, b) => rank(b) - rank(a))[0] || null;
+}
+
+// Read-only commands. Those in READS are viewer-level only when bare or with a listed subcommand.
+const VIEWER_COMMANDS = new Set(['start', 'bal', 'status', 'scan', 'feed', 'txstats', 'autosim', 'pnl']);
+const READS = {
+  autopilot: ['status'], autofilters: [], strategy: ['list'], follow: ['list'], orders: [],
+  reconcile: [], risk: ['status'], exits: [], paper: ['status']
+};
+// Bot-wide config, wallet housekeeping and user management; everything else trades (trader).
+const ADMIN_COMMANDS = new Set(['users', 'autopilot', 'autofilters', 'strategy', 'risk', 'paper', 'reconcile']);
+// Buttons by callback-data prefix (see the inline keyboards in bot.js); unlisted ones trade.
+const ACTIONS = { st: 'viewer', dismiss: 'viewer', bl: 'admin' };
+
+export function requiredRole(name, sub = '', { action = false } = {}) {
+  if (action) return ACTIONS[name] || 'trader';
+  if (VIEWER_COMMANDS.has(name)) return 'viewer';
+  if (name in READS && (!sub || READS[name].includes(sub))) return 'viewer';
+  return ADMIN_COMMANDS.has(name) ? 'admin' : 'trader';
+}
+
+// "/cmd@BotName sub …" -> ['cmd', 'sub']
+export function parseCommand(text = '') {
+  const [head = '', sub = ''] = String(text).trim().split(/\s+/);
+  return [head.replace(/^\//, '').split('@')[0].toLowerCase(), sub];
+}
+
+// Event list from command args: names from EVENTS, or 'all' (the default when none are given).
+export function parseEvents(args) {
+  if (!args.length || args.includes('all')) return [...EVENTS];
+  const bad = args.filter(a => !EVENTS.includes(a));
+  if (bad.length) throw new Error(`Unknown event(s): ${bad.join(', ')}. Have: ${EVENTS.join(', ')}, all`);
+  return [...new Set(args)];
+}
@@ -0,0 +1,23 @@
+// lib/copyTrade.js — copy-trading sizing: mirror a followed wallet's buys at a scaled size and
+// its sells as the same fraction of what it held.
+
+export const MIN_COPY_SOL = 0.001; // below this a mirrored buy is all fees
+
+// SOL to spend when `follow` ({ scale, maxSol }) buys `leaderSol`. 0 = skip.
+export function copyBuySol(follow, leaderSol) {
+  const sol = Math.min(Number(leaderSol || 0) * Number(follow.scale ?? 1), Number(follow.maxSol ?? Infinity));
+  return sol >= MIN_COPY_SOL ? Number(sol.toFixed(6)) : 0;
+}
+
+// Track the leader's holding on our copy position (`copy` = { wallet, leaderTokens }, mutated).
+// Returns the fraction of our position to sell for a leader sell (1 when we never saw its buys), else 0.
+export function applyLeaderTrade(copy, side, tokenAmount) {
+  const amt = Number(tokenAmount || 0);
+  if (side === 'buy') { copy.leaderTokens = Number(copy.leaderTokens || 0) + amt; return 0; }
+  if (side !== 'sell') return 0;
+  const held = Number(copy.leaderTokens || 0);
+  copy.leaderTokens = Math.max(0, held - amt);
+  if (held <= 0) return 1;
+  const frac = amt / held;
+  return frac >= 0.99 ? 1 : frac; // dust left behind counts as a full exit
+}
@@ -0,0 +1,74 @@
+// lib/devWatch.js — watch a position's creator (and optionally top holders) for dumps.
+// Wallet sells arrive on PumpPortal's account-trade stream (and the mint's own trade stream);
+// once a watched wallet has sold `sellPct` of what it held when we entered, we exit.
+
+import { PublicKey } from '@solana/web3.js';
+import { bondingCurvePda } from './pumpCurve.js';
+import { associatedTokenAddress } from './pumpNative.js';
+
+export function devWatchFromEnv(env = process.env) {
+  return {
+    enabled: String(env.DEVWATCH_ENABLED ?? 'true').toLowerCase() === 'true',
+    sellPct: Number(env.DEVWATCH_SELL_PCT ?? '25'),       // share of the wallet's holding
+    topHolders: Number(env.DEVWATCH_TOP_HOLDERS ?? '0')   // also watch the N largest holders (0 = creator only)
+  };
+}
+
+// Build the watch list for `mint`: [{ wallet, role, baseTokens, soldTokens }].
+// Token amounts are UI units (PumpPortal reports tokenAmount the same way).
+export async function resolveWatchList(connection, mint, { creator = null, topHolders = 0, exclude = [], fallbackCreatorTokens = 0 } = {}) {
+  const mintPk = new PublicKey(mint);
+  const info = await connection.getParsedAccountInfo(mintPk);
+  const tokenProgram = info?.value?.owner;
+  if (!tokenProgram) throw new Error('Mint account not found');
+  const skip = new Set(exclude.map(String));
+  const list = [];
+
+  if (creator) {
+    let baseTokens = 0;
+    try {
+      const bal = await connection.getTokenAccountBalance(associatedTokenAddress(creator, mintPk, tokenProgram));
+      baseTokens = Number(bal.value.uiAmount || 0);
+    } catch {
+      baseTokens = Number(fallbackCreatorTokens || 0); // no ATA yet (or RPC hiccup): trust the feed's initial buy
+    }
+    if (baseTokens > 0) list.push({ wallet: String(creator), role: 'creator', baseTokens, soldTokens: 0 });
+    skip.add(String(creator));
+  }
+
+  if (topHolders > 0) {
+    // Largest token accounts, minus the bonding curve's own vault; resolve each to its owner wallet.
+    const curveAta = associatedTokenAddress(bondingCurvePda(mintPk), mintPk, tokenProgram).toBase58();
+    const largest = await connection.getTokenLargestAccounts(mintPk);
+    const accts = largest.value.filter(a => a.address.toBase58() !== curveAta && Number(a.uiAmount) > 0);
+    const parsed = await connection.getMultipleParsedAccounts(accts.map(a => a.address));
+    parsed.value.forEach((acc, i) => {
+      const owner = acc?.data?.parsed?.info?.owner;
+      if (!owner || skip.has(owner) || list.filter(w => w.role === 'holder').length >= topHolders) return;
+      skip.add(owner);
+      list.push({ wallet: owner, role: 'holder', baseTokens: Number(accts[i].uiAmount), soldTokens: 0 });
+    });
+  }
+  return list;
+}
+
+// Apply one trade message to a position's watch list (mutates it).
+// Returns { changed, hit }: `changed` when a watched wallet's soldTokens moved (the caller saves only
+// then), `hit` = { wallet, role, soldTokens, baseTokens, soldPct } once the threshold is crossed.
+export function applyWatchedTrade(watch, msg, sellPct) {
+  const none = { changed: false, hit: null };
+  const side = String(msg.side || msg.txType || '').toLowerCase();
+  if (side !== 'sell' || !Array.isArray(watch)) return none;
+  const w = watch.find(x => x.wallet === msg.traderPublicKey);
+  const amount = Number(msg.tokenAmount || 0);
+  if (!w || !(w.baseTokens > 0) || !(amount > 0)) return none;
+  w.soldTokens += amount;
+  const soldPct = (w.soldTokens / w.baseTokens) * 100;
+  if (soldPct < sellPct) return { changed: true, hit: null };
+  return { changed: true, hit: { wallet: w.wallet, role: w.role, soldTokens: w.soldTokens, baseTokens: w.baseTokens, soldPct } };
+}
+
+export function describeWatch(watch) {
+  if (!watch?.length) return 'none';
+  return watch.map(w => `${w.role} ${w.wallet.slice(0, 4)}…${w.wallet.slice(-4)} (sold ${((w.soldTokens / w.baseTokens) * 100).toFixed(0)}%)`).join(', ');
+}
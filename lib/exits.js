@@ -0,0 +1,279 @@
+// lib/exits.js — named exit profiles evaluated by monitorPositions (and the backtester).
+//
+// A profile:
+//   slPct            initial stop, % below entry (pnl terms)
+//   ladder           [{ atPct, sellPct }] take-profit steps; sellPct is % of the ORIGINAL size
+//   breakevenAfter   step number (1-based) after which the stop moves to breakeven (0%)
+//   trailPct         trailing stop, % below the peak mark (per-token SOL price)
+//   trailAfter       step number after which the trail arms (0 = from entry)
+//   trailActivatePct or: arm the trail once pnl reaches this %
+//   maxHoldMin       exit everything after this many minutes
+//   decayGraceSec    momentum-decay rules only apply after this long in the trade
+//   decayMinBuys1m   exit if feed buys1m drops below this
+//   decayNegChgSec   exit if feed chg1m stays negative this many seconds
+// Positions carry a snapshot { name, ...profile, state } so later profile edits don't move live stops.
+
+import fs from 'fs';
+
+// Hard-coded SCALP triggers (defaults for the built-in profiles)
+export const SCALP_TP_PCT = 5;   // take profit +5%
+export const SCALP_SL_PCT = 1.5; // stop loss -1.5%
+
+export const BUILTIN_EXIT_PROFILES = {
+  // Full exit at TP
+  'SCALP': { slPct: SCALP_SL_PCT, ladder: [{ atPct: SCALP_TP_PCT, sellPct: 100 }] },
+  // Old PARTIAL_TP_ENABLED behavior: 50% at TP, SL → breakeven, rest at TP
+  'SCALP-PARTIAL': {
+    slPct: SCALP_SL_PCT,
+    ladder: [{ atPct: SCALP_TP_PCT, sellPct: 50 }, { atPct: SCALP_TP_PCT, sellPct: 50 }],
+    breakevenAfter: 1
+  },
+  // 25% at +5, 25% at +10, trail the rest 3% off the peak
+  'LADDER': {
+    slPct: SCALP_SL_PCT,
+    ladder: [{ atPct: 5, sellPct: 25 }, { atPct: 10, sellPct: 25 }],
+    breakevenAfter: 1,
+    trailPct: 3,
+    trailAfter: 2
+  },
+  // No fixed TP: trail 2% once up 3%
+  'TRAIL': { slPct: SCALP_SL_PCT, ladder: [], trailPct: 2, trailActivatePct: 3 },
+  // SCALP plus stale-trade exits: 20 min max, bail when buying dries up or 1m goes red for a minute
+  'SCALP-DECAY': {
+    slPct: SCALP_SL_PCT,
+    ladder: [{ atPct: SCALP_TP_PCT, sellPct: 100 }],
+    maxHoldMin: 20,
+    decayGraceSec: 60,
+    decayMinBuys1m: 2,
+    decayNegChgSec: 60
+  }
+};
+
+const DECAY_FIELDS = ['maxHoldMin', 'decayGraceSec', 'decayMinBuys1m', 'decayNegChgSec'];
+
+function validateProfile(name, p) {
+  const num = (v) => v == null || (typeof v === 'number' && isFinite(v) && v >= 0);
+  if (![p.slPct, p.trailPct, p.trailActivatePct, p.breakevenAfter, p.trailAfter, ...DECAY_FIELDS.map(k => p[k])].every(num)) {
+    throw new Error(`Exit profile ${name}: numeric fields must be >= 0`);
+  }
+  if (!Array.isArray(p.ladder || [])) throw new Error(`Exit profile ${name}: ladder must be an array`);
+  for (const s of p.ladder || []) {
+    if (!num(s.atPct) || !num(s.sellPct) || !s.sellPct) throw new Error(`Exit profile ${name}: bad ladder step`);
+  }
+}
+
+// Built-ins overlaid with a user JSON file ({ "NAME": { ...profile } }).
+// `defaults` fills decay fields a profile leaves unset (e.g. a global max hold from env).
+// Throws on an unreadable file or any invalid profile: dropping it would silently move positions
+// and strategies that name it onto the default profile.
+export function loadExitProfiles(file, defaults = {}) {
+  const withDefaults = (p) => {
+    const out = { ...p };
+    for (const k of DECAY_FIELDS) if (out[k] == null && defaults[k] != null) out[k] = defaults[k];
+    return out;
+  };
+  const out = Object.fromEntries(Object.entries(BUILTIN_EXIT_PROFILES).map(([k, p]) => [k, withDefaults(p)]));
+  if (!file || !fs.existsSync(file)) return out;
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf-8')); }
+  catch (e) { throw new Error(`${file} is not valid JSON (${e.message})`); }
+  for (const [name, p] of Object.entries(raw)) {
+    try { validateProfile(name, p); }
+    catch (e) { throw new Error(`${file}: ${e.message}`); }
+    out[name.toUpperCase()] = withDefaults(p);
+  }
+  return out;
+}
+
+// A strategy's per-candidate exit profile name (case-insensitive), or `fallback` when unknown.
+export function resolveExitName(name, profiles, fallback) {
+  const key = String(name || '').toUpperCase();
+  return key && profiles[key] ? key : fallback;
+}
+
+// Snapshot a profile onto a new position.
+export function instantiateExit(name, profile, overrides = {}) {
+  const p = { ladder: [], ...profile, ...overrides };
+  return {
+    name,
+    slPct: p.slPct ?? null,
+    ladder: (p.ladder || []).map(s => ({ atPct: s.atPct, sellPct: s.sellPct })),
+    breakevenAfter: p.breakevenAfter ?? null,
+    trailPct: p.trailPct ?? null,
+    trailAfter: p.trailAfter ?? null,
+    trailActivatePct: p.trailActivatePct ?? null,
+    maxHoldMin: p.maxHoldMin ?? null,
+    decayGraceSec: p.decayGraceSec ?? null,
+    decayMinBuys1m: p.decayMinBuys1m ?? null,
+    decayNegChgSec: p.decayNegChgSec ?? null,
+    state: { step: 0, soldPct: 0, stopPct: p.slPct ?? null, peakMark: null, trailArmed: false, negSince: null }
+  };
+}
+
+// Positions opened before exit profiles existed carry tpPct/slPct/tookPartialTP.
+export function exitFromLegacy(pos, { partialTp = false } = {}) {
+  const tp = pos.tpPct ?? SCALP_TP_PCT;
+  const sl = pos.slPct ?? SCALP_SL_PCT;
+  const base = partialTp ? BUILTIN_EXIT_PROFILES['SCALP-PARTIAL'] : BUILTIN_EXIT_PROFILES['SCALP'];
+  const exit = instantiateExit(partialTp ? 'SCALP-PARTIAL' : 'SCALP', base, {
+    slPct: sl,
+    ladder: base.ladder.map(s => ({ ...s, atPct: tp }))
+  });
+  if (pos.tookPartialTP) Object.assign(exit.state, { step: 1, soldPct: 50, stopPct: pos.slPct ?? 0 });
+  return exit;
+}
+
+// Move a live position onto another exit plan without repeating what already happened: rungs taken
+// stay taken (step clamped to the new ladder), as do the amount sold, the peak, an armed trail (if the
+// new plan trails), a breakeven stop and the decay clock. Returns the new state.
+export function carryExitState(prev, next) {
+  const st = prev?.state;
+  if (!st) return next.state;
+  const step = Math.min(st.step || 0, next.ladder.length);
+  const breakeven = st.stopPct === 0 || (next.breakevenAfter != null && step > 0 && step >= next.breakevenAfter);
+  return {
+    ...next.state,
+    step,
+    soldPct: st.soldPct || 0,
+    stopPct: breakeven ? 0 : next.state.stopPct,
+    peakMark: st.peakMark ?? null,
+    trailArmed: Boolean(st.trailArmed && next.trailPct),
+    negSince: st.negSince ?? null
+  };
+}
+
+function trailShouldArm(exit, state, pnlPct) {
+  if (!exit.trailPct) return false;
+  if (exit.trailActivatePct != null && pnlPct >= exit.trailActivatePct) return true;
+  if (exit.trailAfter != null && state.step >= exit.trailAfter) return true;
+  return exit.trailAfter == null && exit.trailActivatePct == null;
+}
+
+// Decay reads 1m windows: wait out the grace period, and for a full minute of feed history on the
+// mint (right after a restart the bucket is empty and buys1m would read 0).
+const DECAY_MIN_OBSERVED_MS = 60_000;
+const decayActive = (exit, ageMs, metrics) =>
+  ageMs >= (exit.decayGraceSec ?? 0) * 1000 && (metrics.observedMs ?? Infinity) >= DECAY_MIN_OBSERVED_MS;
+
+// Raw token amount for selling `fraction` of `raw` holdings, to 1/10000 (one basis point);
+// 1 or more sells everything. Shared by the bot and the backtester so their partials match.
+export function sellAmountRaw(raw, fraction) {
+  return fraction >= 1 ? raw : (raw * BigInt(Math.round(fraction * 10000))) / 10000n;
+}
+
+// Decide what to do at this mark.
+//   pnlPct: position PnL incl. realized partials; mark: current per-token SOL price;
+//   metrics: feed.metrics(mint) (may be null); now / ageMs: clock and time since entry.
+// Returns { state, exit } — `state` (peak tracking) should always be saved; `exit` is null (hold) or
+// { kind: 'sl'|'breakeven'|'trail'|'ladder'|'time'|'decay', trigger, fraction (of current holdings), final, after, label }
+// where `after` is merged into state once the sell succeeds.
+export function evaluateExit(position, { pnlPct, mark, metrics = null, now = Date.now(), ageMs = 0 }) {
+  const exit = position.exit;
+  const state = { ...exit.state };
+
+  if (mark != null && isFinite(mark) && mark > 0) state.peakMark = Math.max(state.peakMark ?? 0, mark);
+  if (!state.trailArmed && trailShouldArm(exit, state, pnlPct)) state.trailArmed = true;
+
+  // Track how long 1m change has been negative
+  if (metrics && metrics.chg1m < 0) state.negSince = state.negSince ?? now;
+  else if (metrics) state.negSince = null;
+
+  const full = (kind, trigger, label) => ({ state, exit: { kind, trigger, fraction: 1, final: true, after: {}, label } });
+
+  // Stops first
+  if (state.stopPct != null && pnlPct <= -state.stopPct) {
+    return state.stopPct === 0 && state.step > 0
+      ? full('breakeven', 'sl', 'Breakeven stop')
+      : full('sl', 'sl', 'SL hit');
+  }
+  if (state.trailArmed && state.peakMark && mark <= state.peakMark * (1 - exit.trailPct / 100)) {
+    return full('trail', 'trail', `Trail stop (${exit.trailPct}% off peak)`);
+  }
+
+  // Stale-trade exits
+  if (exit.maxHoldMin && ageMs >= exit.maxHoldMin * 60000) {
+    return full('time', 'time', `Max hold ${exit.maxHoldMin}m`);
+  }
+  if (metrics && decayActive(exit, ageMs, metrics)) {
+    if (exit.decayMinBuys1m != null && metrics.buys1m < exit.decayMinBuys1m) {
+      return full('decay', 'decay', `Momentum decay (buys1m ${metrics.buys1m} < ${exit.decayMinBuys1m})`);
+    }
+    if (exit.decayNegChgSec != null && state.negSince != null && now - state.negSince >= exit.decayNegChgSec * 1000) {
+      return full('decay', 'decay', `Momentum decay (1m red ${Math.round((now - state.negSince) / 1000)}s)`);
+    }
+  }
+
+  // Next ladder step
+  const next = exit.ladder[state.step];
+  if (next && pnlPct >= next.atPct) {
+    const remainingPct = 100 - state.soldPct;
+    const sellPct = Math.min(next.sellPct, remainingPct);
+    const step = state.step + 1;
+    const lastStep = step >= exit.ladder.length && !exit.trailPct;
+    const fraction = lastStep || sellPct >= remainingPct - 1e-9 ? 1 : sellPct / remainingPct;
+    const after = { step, soldPct: fraction === 1 ? 100 : state.soldPct + sellPct };
+    if (exit.breakevenAfter != null && step >= exit.breakevenAfter) after.stopPct = 0;
+    return {
+      state,
+      exit: {
+        kind: 'ladder',
+        trigger: fraction === 1 ? 'tp' : 'partial',
+        fraction,
+        final: fraction === 1,
+        after,
+        label: `TP step ${step}/${exit.ladder.length} (+${next.atPct}%)`
+      }
+    };
+  }
+
+  return { state, exit: null };
+}
+
+export function describeExit(exit) {
+  if (!exit) return 'n/a';
+  const steps = exit.ladder.map((s, i) => `${i < exit.state.step ? '✓' : '·'}${s.sellPct}%@+${s.atPct}`).join(' ');
+  const stop = exit.state.stopPct == null ? 'none' : exit.state.stopPct === 0 ? 'breakeven' : `-${exit.state.stopPct}%`;
+  const trail = exit.trailPct
+    ? ` | trail ${exit.trailPct}% ${exit.state.trailArmed ? 'armed' : 'waiting'}${exit.state.peakMark ? ` (peak ${exit.state.peakMark.toExponential(3)})` : ''}`
+    : '';
+  const stale = [
+    exit.maxHoldMin ? `max ${exit.maxHoldMin}m` : '',
+    exit.decayMinBuys1m != null ? `buys1m≥${exit.decayMinBuys1m}` : '',
+    exit.decayNegChgSec != null ? `1m red ≤${exit.decayNegChgSec}s` : ''
+  ].filter(Boolean).join(', ');
+  return `${exit.name}: ${steps || 'no TP steps'} | stop ${stop} | sold ${exit.state.soldPct.toFixed(0)}%${trail}${stale ? ` | ${stale}` : ''}`;
+}
+
+// How close each rule is to firing (0..1+), closest first. Same inputs as evaluateExit.
+export function exitProximity(position, { pnlPct, mark, metrics = null, now = Date.now(), ageMs = 0 }) {
+  const exit = position.exit;
+  const st = exit.state;
+  const out = [];
+  const clamp = (x) => Math.max(0, Math.min(1, x));
+
+  if (pnlPct != null && st.stopPct != null) {
+    // Breakeven stop: treat the last 1% above entry as the approach zone
+    const progress = st.stopPct > 0 ? clamp(-pnlPct / st.stopPct) : clamp(1 - pnlPct);
+    out.push({ rule: st.stopPct > 0 ? 'stop' : 'breakeven stop', progress, detail: `pnl ${pnlPct.toFixed(2)}% vs -${st.stopPct}%` });
+  }
+  const next = exit.ladder[st.step];
+  if (pnlPct != null && next) {
+    out.push({ rule: `TP step ${st.step + 1}`, progress: clamp(pnlPct / next.atPct), detail: `pnl ${pnlPct.toFixed(2)}% vs +${next.atPct}%` });
+  }
+  if (st.trailArmed && st.peakMark && mark) {
+    const drop = (1 - mark / st.peakMark) * 100;
+    out.push({ rule: 'trail', progress: clamp(drop / exit.trailPct), detail: `${drop.toFixed(2)}% off peak vs ${exit.trailPct}%` });
+  }
+  if (exit.maxHoldMin) {
+    out.push({ rule: 'max hold', progress: clamp(ageMs / (exit.maxHoldMin * 60000)), detail: `${(ageMs / 60000).toFixed(1)}/${exit.maxHoldMin}m` });
+  }
+  if (metrics && exit.decayMinBuys1m != null) {
+    const progress = metrics.buys1m < exit.decayMinBuys1m ? 1 : clamp(exit.decayMinBuys1m / Math.max(1, metrics.buys1m));
+    out.push({ rule: 'decay buys1m', progress: decayActive(exit, ageMs, metrics) ? progress : progress * 0.99, detail: `buys1m ${metrics.buys1m} vs ≥${exit.decayMinBuys1m}` });
+  }
+  if (exit.decayNegChgSec != null) {
+    const redSec = st.negSince != null ? (now - st.negSince) / 1000 : 0;
+    out.push({ rule: 'decay 1m red', progress: clamp(redSec / exit.decayNegChgSec), detail: `red ${redSec.toFixed(0)}/${exit.decayNegChgSec}s` });
+  }
+  return out.sort((a, b) => b.progress - a.progress);
+}
@@ -0,0 +1,163 @@
+// lib/feed.js — PumpPortal signal engine: per-mint trade buckets + micro TF metrics.
+// Shared by the live socket, replay and the backtester, so time comes from an injectable clock.
+
+// PumpPortal trade messages carry curve reserves rather than a price; derive SOL per token from them.
+export function pumpPriceSol(msg) {
+  const vSol = Number(msg.vSolInBondingCurve || 0);
+  const vTokens = Number(msg.vTokensInBondingCurve || 0);
+  return Number(msg.priceSol ?? msg.price ?? (vSol > 0 && vTokens > 0 ? vSol / vTokens : 0));
+}
+
+// pump.fun curves start at 1.073B virtual tokens, 793.1M of them for sale before migration.
+const CURVE_START_TOKENS = 1_073_000_000;
+const CURVE_SALE_TOKENS = 793_100_000;
+const TOTAL_SUPPLY_TOKENS = 1_000_000_000;
+
+export function curveProgressPct(vTokens) {
+  if (!(vTokens > 0)) return null;
+  return Math.min(100, Math.max(0, ((CURVE_START_TOKENS - vTokens) / CURVE_SALE_TOKENS) * 100));
+}
+
+// Flow stats for one window of trades.
+function flowStats(arr) {
+  let buyVol = 0, sellVol = 0, maxBuy = 0, pv = 0, vol = 0;
+  const buyers = new Set(), sellers = new Set();
+  for (const t of arr) {
+    if (t.side === 'buy') { buyVol += t.amountSol; maxBuy = Math.max(maxBuy, t.amountSol); if (t.trader) buyers.add(t.trader); }
+    else if (t.side === 'sell') { sellVol += t.amountSol; if (t.trader) sellers.add(t.trader); }
+    if (t.priceSol > 0 && t.amountSol > 0) { pv += t.priceSol * t.amountSol; vol += t.amountSol; }
+  }
+  return {
+    buyVol, sellVol, netFlow: buyVol - sellVol,
+    buySellRatio: sellVol > 0 ? buyVol / sellVol : (buyVol > 0 ? Infinity : 0),
+    buyers: buyers.size, sellers: sellers.size,
+    vwap: vol > 0 ? pv / vol : null,
+    maxBuy
+  };
+}
+
+export function createFeed({ now = () => Date.now() } = {}) {
+  return {
+    now,
+    // mint -> { firstSeen, lastPriceSol, lastVTokens, lastMarketCapSol, creator, createdAt, initialBuyTokens, creatorSold,
+    //          phase: 'curve'|'migrating'|'migrated'|null, migratedAt,
+    //          trades: [{ts, side, priceSol, amountSol, tokenAmount, trader}] }
+    byMint: new Map(),
+
+    // `firstSeen`: when we started watching this mint (not its launch) — after a restart or a late
+    // subscribe, windows longer than `now - firstSeen` are incomplete (see metrics().observedMs).
+    bucket(mint, ts = this.now()) {
+      let b = this.byMint.get(mint);
+      if (!b) {
+        b = { firstSeen: ts, lastPriceSol: null, lastVTokens: null, lastMarketCapSol: null, phase: null, migratedAt: null, creator: null, createdAt: null, initialBuyTokens: 0, creatorSold: false, trades: [] };
+        this.byMint.set(mint, b);
+      }
+      return b;
+    },
+
+    // Mints launched by `creator` within the last `ms` (serial-launcher heuristic).
+    launchesBy(creator, ms = 60 * 60 * 1000) {
+      if (!creator) return 0;
+      const now = this.now();
+      let n = 0;
+      for (const b of this.byMint.values()) if (b.creator === creator && b.createdAt && now - b.createdAt <= ms) n++;
+      return n;
+    },
+
+    // Apply one PumpPortal message; returns the mint it touched (or null).
+    ingest(msg, ts = this.now()) {
+      // New token created
+      if (msg.message === 'newToken' && msg.mint) {
+        const b = this.bucket(msg.mint, ts);
+        b.creator = msg.traderPublicKey || b.creator;
+        b.createdAt = b.createdAt ?? ts;
+        b.initialBuyTokens = Number(msg.initialBuy || 0);
+        b.phase = b.phase || 'curve';
+        if (msg.vTokensInBondingCurve) b.lastVTokens = Number(msg.vTokensInBondingCurve);
+        if (msg.marketCapSol) b.lastMarketCapSol = Number(msg.marketCapSol);
+        return msg.mint;
+      }
+
+      // Migration stream: the curve's liquidity moved to an AMM pool
+      if (String(msg.txType || '').toLowerCase() === 'migrate' && msg.mint) {
+        const b = this.bucket(msg.mint, ts);
+        b.phase = 'migrated';
+        b.migratedAt = b.migratedAt ?? ts;
+        return msg.mint;
+      }
+
+      // Per-token trade stream
+      if (msg.message === 'tokenTrade' && msg.mint) {
+        const m = this.bucket(msg.mint, ts);
+        const side = String(msg.side || msg.txType || '').toLowerCase(); // PumpPortal sends txType
+        const priceSol = pumpPriceSol(msg);
+        const amountSol = Number(msg.solAmount ?? msg.amountSol ?? 0);
+        const tokenAmount = Number(msg.tokenAmount || 0);
+        const trader = msg.traderPublicKey || null;
+
+        if (priceSol > 0) m.lastPriceSol = priceSol;
+        if (msg.vTokensInBondingCurve) m.lastVTokens = Number(msg.vTokensInBondingCurve);
+        if (msg.marketCapSol) m.lastMarketCapSol = Number(msg.marketCapSol);
+        // Lifecycle: AMM-pool trades mean migrated; a curve trade that emptied the curve means migration is pending
+        if (msg.pool && msg.pool !== 'pump') { if (m.phase !== 'migrated') { m.phase = 'migrated'; m.migratedAt = ts; } }
+        else if (m.phase !== 'migrated') m.phase = curveProgressPct(m.lastVTokens) >= 100 ? 'migrating' : 'curve';
+        if (side === 'sell' && trader && trader === m.creator) m.creatorSold = true;
+        m.trades.push({ ts, side, priceSol, amountSol, tokenAmount, trader });
+        return msg.mint;
+      }
+      return null;
+    },
+
+    metrics(mint) {
+      const now = this.now();
+      const b = this.byMint.get(mint);
+      if (!b) return null;
+      // Keep last 5 minutes
+      b.trades = b.trades.filter(t => now - t.ts <= 5*60*1000);
+
+      const within = (ms) => b.trades.filter(t => now - t.ts <= ms);
+
+      const m15 = within(15*1000);
+      const m30 = within(30*1000);
+      const m60 = within(60*1000);
+      const m300= within(5*60*1000);
+
+      const priceNow = b.lastPriceSol ?? (m60[m60.length-1]?.priceSol ?? null);
+
+      function pctChange(arr) {
+        if (arr.length < 2) return 0;
+        const first = arr[0].priceSol;
+        const last  = arr[arr.length-1].priceSol;
+        if (!first || !last) return 0;
+        return ((last - first)/first)*100;
+      }
+
+      const buys = a => a.filter(t => t.side === 'buy').length;
+
+      const out = {
+        priceNowSol: priceNow,
+        observedMs: now - b.firstSeen,
+
+        // Sub-minute
+        buys15s: buys(m15), chg15s: pctChange(m15),
+        buys30s: buys(m30), chg30s: pctChange(m30),
+
+        // Minute & 5m
+        buys1m: buys(m60), chg1m: pctChange(m60),
+        buys5m: buys(m300), chg5m: pctChange(m300),
+
+        // Curve state from the latest message
+        curveProgressPct: curveProgressPct(b.lastVTokens),
+        mcapSol: b.lastMarketCapSol ?? (priceNow ? priceNow * TOTAL_SUPPLY_TOKENS : null)
+      };
+
+      // Flow per window: buyVol15s, sellVol1m, netFlow5m, buyers30s, vwap1m, maxBuy1m, priceVsVwap1m, …
+      for (const [tf, arr] of [['15s', m15], ['30s', m30], ['1m', m60], ['5m', m300]]) {
+        const f = flowStats(arr);
+        for (const [k, v] of Object.entries(f)) out[k + tf] = v;
+        out['priceVsVwap' + tf] = f.vwap && priceNow ? ((priceNow - f.vwap) / f.vwap) * 100 : 0;
+      }
+      return out;
+    }
+  };
+}
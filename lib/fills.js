@@ -0,0 +1,85 @@
+// lib/fills.js — reconcile actual fills from confirmed transactions.
+// Reads the owner's token + lamport balance changes so positions carry real numbers
+// instead of requested amounts / quotes.
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function keyOf(k) {
+  return typeof k === 'string' ? k : (k?.pubkey?.toBase58?.() ?? k?.toBase58?.() ?? String(k?.pubkey ?? k));
+}
+
+// Polls until the transaction is visible at 'confirmed'. Returns null if it never shows up;
+// throws if it landed with an error.
+export async function fetchFill(connection, signature, { owner, mint, attempts = 10, delayMs = 1500 }) {
+  const ownerStr = keyOf(owner);
+  let tx = null;
+  for (let i = 0; i < attempts && !tx; i++) {
+    if (i) await sleep(delayMs);
+    try {
+      tx = await connection.getParsedTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+    } catch {}
+  }
+  if (!tx?.meta) return null;
+  if (tx.meta.err) throw new Error(`Transaction ${signature.slice(0, 8)}… failed: ${JSON.stringify(tx.meta.err)}`);
+
+  const keys = tx.transaction.message.accountKeys.map(keyOf);
+  const ownerIdx = keys.indexOf(ownerStr);
+  const { preBalances, postBalances, fee } = tx.meta;
+
+  // Token delta across every account the owner holds for this mint
+  const sumFor = (list) => (list || [])
+    .filter(b => b.mint === mint && b.owner === ownerStr)
+    .reduce((acc, b) => acc + BigInt(b.uiTokenAmount.amount), 0n);
+  const tokenDeltaRaw = sumFor(tx.meta.postTokenBalances) - sumFor(tx.meta.preTokenBalances);
+  const decimals = (tx.meta.postTokenBalances || []).concat(tx.meta.preTokenBalances || [])
+    .find(b => b.mint === mint)?.uiTokenAmount.decimals ?? 6;
+
+  // Rent paid to open the owner's token account (refundable, so kept out of the fill price)
+  let rentLamports = 0n;
+  for (const b of tx.meta.postTokenBalances || []) {
+    if (b.mint !== mint || b.owner !== ownerStr) continue;
+    if (preBalances[b.accountIndex] === 0) rentLamports += BigInt(postBalances[b.accountIndex]);
+  }
+
+  const solDeltaLamports = ownerIdx >= 0 ? BigInt(postBalances[ownerIdx] - preBalances[ownerIdx]) : 0n;
+  const feeLamports = BigInt(fee || 0);
+
+  // Effective price excludes the network fee and rent: what the swap itself paid/received per token
+  const swapLamports = solDeltaLamports + feeLamports + rentLamports;
+  const tokens = Number(tokenDeltaRaw < 0n ? -tokenDeltaRaw : tokenDeltaRaw) / 10 ** decimals;
+  const priceSol = tokens > 0 ? Math.abs(Number(swapLamports)) / 1e9 / tokens : null;
+
+  return {
+    signature,
+    slot: tx.slot,
+    blockTime: tx.blockTime ?? null,
+    tokenDeltaRaw,
+    decimals,
+    solDeltaLamports,
+    feeLamports,
+    rentLamports,
+    priceSol
+  };
+}
+
+// Sums several fills (e.g. a sharded Jupiter sell) into one. Null if any is missing: totals
+// without a slice would pass as reconciled.
+export function combineFills(list) {
+  if (!list.length || list.some(f => !f)) return null;
+  const sum = (k) => list.reduce((a, f) => a + f[k], 0n);
+  const tokenDeltaRaw = sum('tokenDeltaRaw');
+  const swapLamports = sum('solDeltaLamports') + sum('feeLamports') + sum('rentLamports');
+  const decimals = list[0].decimals;
+  const tokens = Math.abs(Number(tokenDeltaRaw)) / 10 ** decimals;
+  return {
+    signature: list.map(f => f.signature).join(','),
+    slot: list[list.length - 1].slot,
+    blockTime: list[list.length - 1].blockTime,
+    tokenDeltaRaw,
+    decimals,
+    solDeltaLamports: sum('solDeltaLamports'),
+    feeLamports: sum('feeLamports'),
+    rentLamports: sum('rentLamports'),
+    priceSol: tokens > 0 ? Math.abs(Number(swapLamports)) / 1e9 / tokens : null
+  };
+}
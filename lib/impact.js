@@ -0,0 +1,41 @@
+// lib/impact.js — price-impact estimates and shard sizing for thin books.
+// Entries and Jupiter exits are split into slices sized so each one's quoted impact stays
+// near THIN_TARGET_IMPACT_PCT; slippage tolerance follows the impact we expect to pay.
+
+import { quoteBuy } from './pumpCurve.js';
+
+// Jupiter quotes report priceImpactPct as a fraction ("0.012" = 1.2%); we work in percent.
+export function extractImpactPct(route) {
+  if (route?.priceImpactPct != null) return Number(route.priceImpactPct) * 100;
+  return NaN;
+}
+
+// Impact of spending `lamports` on the curve: execution price vs spot (curve fee excluded), in percent.
+export function curveBuyImpactPct(curve, lamports, feeBps = 100) {
+  const out = quoteBuy(curve, lamports, feeBps);
+  if (out <= 0n || curve.virtualTokenReserves === 0n) return NaN;
+  const net = (Number(lamports) * 10000) / (10000 + feeBps);
+  const spot = Number(curve.virtualSolReserves) / Number(curve.virtualTokenReserves);
+  return ((net / Number(out)) / spot - 1) * 100;
+}
+
+// Next slice size given a quote of `quotedSize` at `quotedImpact`. Impact grows roughly linearly
+// with size at these amounts, so scale toward the target — but never below what's needed to finish
+// within the remaining shard budget, and never leave a tail smaller than `minShard`.
+// Sizes are plain numbers (SOL for buys, raw tokens for sells). Unknown impact (NaN) keeps the size.
+export function sizeShard({ remaining, shardsLeft, minShard, target, quotedSize, quotedImpact }) {
+  if (shardsLeft <= 1) return remaining;
+  let size = quotedSize;
+  if (quotedImpact > target) {
+    const floor = Math.max(minShard, remaining / shardsLeft);
+    size = Math.max(floor, quotedSize * (target / quotedImpact));
+  }
+  size = Math.min(size, remaining);
+  return remaining - size < minShard ? remaining : size;
+}
+
+// Slippage tolerance: base plus the impact we expect to pay, capped.
+export function adaptiveSlippageBps(impactPct, base, cap) {
+  const extra = isFinite(impactPct) && impactPct > 0 ? Math.ceil(impactPct * 100) : 0;
+  return Math.min(cap, Math.max(base, base + extra));
+}
@@ -0,0 +1,93 @@
+// lib/ledger.js — append-only trade ledger (JSONL) + realized PnL stats.
+// One line per fill: { ts, side: 'buy'|'sell', tradeId, mint, route, solIn, solOut, tokensRaw,
+//   trigger, source, profileUsed, strategy, sig, final, paper }
+// A trade is a buy plus the sells sharing its tradeId; it is closed by a sell with final=true.
+
+import fs from 'fs';
+
+export function newTradeId(mint) {
+  return `${mint.slice(0, 6)}-${Date.now().toString(36)}`;
+}
+
+export function createLedger(file) {
+  let entries = [];
+  try {
+    if (fs.existsSync(file)) {
+      const text = fs.readFileSync(file, 'utf-8');
+      entries = text.split('\n').filter(Boolean).flatMap(line => {
+        try { return [JSON.parse(line)]; } catch { return []; }
+      });
+      // A crash mid-append leaves a torn last line; end it so the next entry isn't glued onto it
+      if (text && !text.endsWith('\n')) fs.appendFileSync(file, '\n');
+    }
+  } catch (e) {
+    console.error('[Ledger] load failed:', e.message);
+  }
+
+  // mint -> tradeId of the newest trade without a final sell
+  const open = new Map();
+  for (const e of entries) {
+    if (e.side === 'buy') open.set(e.mint, e.tradeId);
+    else if (e.final && open.get(e.mint) === e.tradeId) open.delete(e.mint);
+  }
+
+  return {
+    get entries() { return entries; },
+    openTradeId(mint) { return open.get(mint) || null; },
+    append(entry) {
+      const e = { ts: new Date().toISOString(), ...entry };
+      fs.appendFileSync(file, JSON.stringify(e) + '\n');
+      entries.push(e);
+      if (e.side === 'buy') open.set(e.mint, e.tradeId);
+      else if (e.final && open.get(e.mint) === e.tradeId) open.delete(e.mint);
+      return e;
+    }
+  };
+}
+
+// Group entries into round trips. Closed trades have closedAt + pnlSol.
+export function buildTrades(entries) {
+  const byId = new Map();
+  for (const e of entries) {
+    let t = byId.get(e.tradeId);
+    if (!t) {
+      t = { tradeId: e.tradeId, mint: e.mint, source: null, profileUsed: null, paper: Boolean(e.paper),
+        openedAt: null, closedAt: null, solIn: 0, solOut: 0, sells: 0 };
+      byId.set(e.tradeId, t);
+    }
+    if (e.side === 'buy') {
+      t.solIn += Number(e.solIn || 0);
+      t.openedAt = t.openedAt || e.ts;
+      t.source = e.source || e.trigger;
+      t.profileUsed = e.profileUsed ?? t.profileUsed;
+    } else {
+      t.solOut += Number(e.solOut || 0);
+      t.sells++;
+      if (e.final) t.closedAt = e.ts;
+    }
+  }
+  return [...byId.values()].map(t => {
+    if (!t.closedAt || !t.openedAt) return t;
+    const pnlSol = t.solOut - t.solIn;
+    return {
+      ...t,
+      pnlSol,
+      pnlPct: t.solIn > 0 ? (pnlSol / t.solIn) * 100 : 0,
+      holdMs: Date.parse(t.closedAt) - Date.parse(t.openedAt)
+    };
+  });
+}
+
+export function summarize(trades) {
+  const closed = trades.filter(t => t.closedAt && t.pnlSol != null);
+  if (!closed.length) return { count: 0, pnlSol: 0, winRate: 0, avgHoldMs: 0, best: null, worst: null };
+  const sorted = [...closed].sort((a, b) => b.pnlSol - a.pnlSol);
+  return {
+    count: closed.length,
+    pnlSol: closed.reduce((a, t) => a + t.pnlSol, 0),
+    winRate: (closed.filter(t => t.pnlSol > 0).length / closed.length) * 100,
+    avgHoldMs: closed.reduce((a, t) => a + t.holdMs, 0) / closed.length,
+    best: sorted[0],
+    worst: sorted[sorted.length - 1]
+  };
+}
@@ -0,0 +1,53 @@
+// lib/orders.js — limit orders + metric alerts evaluated against feed ticks (pure helpers).
+// An order: { id, kind: 'limit'|'watch', side?: 'buy'|'sell', mint, priceSol?, dir?: 'above'|'below'|null,
+//             sol?, pct?, exitProfile?, cond?: { metric, op, value }, createdAt, status }
+
+const METRIC_RE = /^(price|(chg|buys|buyVol|sellVol|netFlow|buySellRatio|buyers|sellers|vwap|maxBuy|priceVsVwap)(15s|30s|1m|5m)|mcapSol|curveProgressPct)$/;
+const OPS = ['>=', '<=', '>', '<'];
+
+// "chg1m>5", "price<=2.1e-8", "buys30s >= 12" → { metric, op, value }
+export function parseCondition(text) {
+  const m = String(text || '').replace(/\s+/g, '').match(/^([A-Za-z0-9]+)(>=|<=|>|<)(-?[\d.]+(?:e-?\d+)?)$/i);
+  if (!m) throw new Error('Condition looks like: price<2e-8 | chg1m>5 | buys30s>=10');
+  const [, metric, op, raw] = m;
+  if (!METRIC_RE.test(metric)) throw new Error(`Unknown metric ${metric} (price, chg1m, buys30s, netFlow1m, mcapSol, …)`);
+  const value = Number(raw);
+  if (!isFinite(value)) throw new Error(`Bad value ${raw}`);
+  return { metric, op, value };
+}
+
+export function metricValue(metrics, metric) {
+  if (!metrics) return null;
+  const v = metric === 'price' ? metrics.priceNowSol : metrics[metric];
+  return typeof v === 'number' && isFinite(v) ? v : null;
+}
+
+export function conditionMet(cond, metrics) {
+  const v = metricValue(metrics, cond.metric);
+  if (v == null || !OPS.includes(cond.op)) return false;
+  return cond.op === '>=' ? v >= cond.value : cond.op === '<=' ? v <= cond.value : cond.op === '>' ? v > cond.value : v < cond.value;
+}
+
+// Which way price has to cross to fill. A relative order (+pct/-pct vs entry) goes by its sign;
+// otherwise by the current price: a buy below market waits for a dip, above market for a breakout
+// (sells mirror that as take-profit / stop). Null when there's no price yet — the first tick with
+// one sets it (guessing from the side alone would fire a stop or breakout at once).
+export function limitDirection(targetPriceSol, currentPriceSol, { relativePct = null } = {}) {
+  if (relativePct != null) return relativePct < 0 ? 'below' : 'above';
+  if (!(currentPriceSol > 0)) return null;
+  return targetPriceSol <= currentPriceSol ? 'below' : 'above';
+}
+
+export function limitTriggered(order, priceSol) {
+  if (!(priceSol > 0) || !order.dir) return false;
+  return order.dir === 'below' ? priceSol <= order.priceSol : priceSol >= order.priceSol;
+}
+
+export function describeOrder(o) {
+  if (o.kind === 'watch') return `#${o.id} 👀 ${o.mint} when ${o.cond.metric}${o.cond.op}${o.cond.value}`;
+  const cmp = o.dir === 'below' ? '≤' : o.dir === 'above' ? '≥' : '~';
+  const px = `${cmp} ${o.priceSol.toExponential(4)} SOL${o.label ? ` (${o.label})` : ''}${o.dir ? '' : ' [direction set on first price]'}`;
+  return o.side === 'buy'
+    ? `#${o.id} 🟢 BUY ${o.sol} SOL of ${o.mint} at ${px}${o.exitProfile ? `, exit ${o.exitProfile}` : ''}`
+    : `#${o.id} 🔴 SELL ${o.pct}% of ${o.mint} at ${px}`;
+}
@@ -0,0 +1,22 @@
+// lib/paper.js — fill model for simulated trades (paper mode + backtester).
+// Price is SOL per whole token; amounts are raw token units.
+
+export function createFillModel({ slippageBps = 150, feeBps = 100, txFeeSol = 0.000105, decimals = 6 } = {}) {
+  const unit = 10 ** decimals;
+  return {
+    txFeeSol,
+    // Tokens received for `sol` spent (tx fee charged separately by the caller).
+    buyRaw(priceSol, sol) {
+      const fillPx = priceSol * (1 + slippageBps / 1e4);
+      const netSol = sol * (1 - feeBps / 1e4);
+      return BigInt(Math.floor((netSol / fillPx) * unit));
+    },
+    // Lamports received for selling `amountRaw`, net of fee and tx fee.
+    sellLamports(priceSol, amountRaw) {
+      const fillPx = priceSol * (1 - slippageBps / 1e4);
+      const grossSol = (Number(amountRaw) / unit) * fillPx;
+      const netSol = grossSol * (1 - feeBps / 1e4) - txFeeSol;
+      return BigInt(Math.max(0, Math.floor(netSol * 1e9)));
+    }
+  };
+}
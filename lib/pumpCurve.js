@@ -0,0 +1,61 @@
+// lib/pumpCurve.js — pump.fun bonding-curve state + local constant-product quotes.
+// Lets us mark (and later trade) tokens that are still on the curve, where Jupiter has no route.
+
+import { PublicKey } from '@solana/web3.js';
+
+export const PUMP_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+
+export function bondingCurvePda(mint) {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+    PUMP_PROGRAM_ID
+  );
+  return pda;
+}
+
+// Account layout: 8-byte discriminator, 5 × u64 LE, bool complete, then (newer curves) creator pubkey.
+export function decodeBondingCurve(data) {
+  const buf = Buffer.from(data);
+  if (buf.length < 49) throw new Error('Bonding curve account too short');
+  const u64 = (off) => buf.readBigUInt64LE(off);
+  return {
+    virtualTokenReserves: u64(8),
+    virtualSolReserves: u64(16),
+    realTokenReserves: u64(24),
+    realSolReserves: u64(32),
+    tokenTotalSupply: u64(40),
+    complete: buf[48] === 1,
+    creator: buf.length >= 81 ? new PublicKey(buf.subarray(49, 81)) : null
+  };
+}
+
+// null when the curve account doesn't exist (not a pump.fun mint).
+export async function fetchBondingCurve(connection, mint) {
+  const info = await connection.getAccountInfo(bondingCurvePda(mint), 'confirmed');
+  if (!info?.data) return null;
+  return decodeBondingCurve(info.data);
+}
+
+// Lamports received for selling `amountRaw` tokens, after the curve fee.
+export function quoteSell(curve, amountRaw, feeBps = 100) {
+  const amount = BigInt(amountRaw);
+  if (amount <= 0n || curve.complete) return 0n;
+  const gross = (amount * curve.virtualSolReserves) / (curve.virtualTokenReserves + amount);
+  const fee = (gross * BigInt(feeBps) + 9999n) / 10000n; // program rounds fees up
+  return gross > fee ? gross - fee : 0n;
+}
+
+// Tokens received for spending `lamports` in total (fee included), capped at real reserves.
+export function quoteBuy(curve, lamports, feeBps = 100) {
+  const total = BigInt(lamports);
+  if (total <= 0n || curve.complete) return 0n;
+  const net = (total * 10000n) / (10000n + BigInt(feeBps));
+  const out = (net * curve.virtualTokenReserves) / (curve.virtualSolReserves + net);
+  return out > curve.realTokenReserves ? curve.realTokenReserves : out;
+}
+
+// Spot price in SOL per whole token (6 decimals).
+export function curvePriceSol(curve, decimals = 6) {
+  if (curve.virtualTokenReserves === 0n) return 0;
+  return (Number(curve.virtualSolReserves) / 1e9) / (Number(curve.virtualTokenReserves) / 10 ** decimals);
+}
@@ -0,0 +1,157 @@
+// lib/pumpNative.js — build pump.fun bonding-curve buy/sell instructions directly (no trade API).
+// Account order follows the pump program IDL with creator vault, volume accumulators and fee config.
+
+import {
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  ComputeBudgetProgram
+} from '@solana/web3.js';
+import { PUMP_PROGRAM_ID, bondingCurvePda, quoteBuy, quoteSell } from './pumpCurve.js';
+
+export const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+export const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+export const ATA_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+
+const PUMP_GLOBAL = new PublicKey('4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf');
+const PUMP_EVENT_AUTHORITY = new PublicKey('Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1');
+const PUMP_FEE_PROGRAM = new PublicKey('pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ');
+export const DEFAULT_FEE_RECIPIENT = new PublicKey('CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM');
+
+// Anchor discriminators: sha256("global:buy" / "global:sell")[0..8]
+const BUY_DISCRIMINATOR = Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]);
+const SELL_DISCRIMINATOR = Buffer.from([51, 230, 133, 164, 1, 127, 131, 173]);
+
+const pda = (seeds, program = PUMP_PROGRAM_ID) => PublicKey.findProgramAddressSync(seeds, program)[0];
+
+export function associatedTokenAddress(owner, mint, tokenProgram = TOKEN_PROGRAM_ID) {
+  return pda([new PublicKey(owner).toBuffer(), tokenProgram.toBuffer(), new PublicKey(mint).toBuffer()], ATA_PROGRAM_ID);
+}
+
+// CreateIdempotent (instruction 1): no-op if the ATA already exists.
+export function createAtaIdempotentIx({ payer, owner, mint, tokenProgram = TOKEN_PROGRAM_ID }) {
+  const ata = associatedTokenAddress(owner, mint, tokenProgram);
+  return new TransactionInstruction({
+    programId: ATA_PROGRAM_ID,
+    keys: [
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: ata, isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(owner), isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(mint), isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: tokenProgram, isSigner: false, isWritable: false }
+    ],
+    data: Buffer.from([1])
+  });
+}
+
+// Token program CloseAccount (instruction 9): an empty account's rent goes to `destination`.
+export function closeTokenAccountIx({ account, destination, owner, tokenProgram = TOKEN_PROGRAM_ID }) {
+  return new TransactionInstruction({
+    programId: tokenProgram,
+    keys: [
+      { pubkey: new PublicKey(account), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(destination), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(owner), isSigner: true, isWritable: false }
+    ],
+    data: Buffer.from([9])
+  });
+}
+
+export function computeBudgetIxs({ units = 120_000, priorityFeeSol = 0 }) {
+  const microLamports = Math.floor((priorityFeeSol * 1e9 * 1e6) / units);
+  const ixs = [ComputeBudgetProgram.setComputeUnitLimit({ units })];
+  if (microLamports > 0) ixs.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+  return ixs;
+}
+
+function u64(n) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64LE(BigInt(n));
+  return b;
+}
+
+function commonAccounts({ user, mint, curve, tokenProgram }) {
+  const mintPk = new PublicKey(mint);
+  const bondingCurve = bondingCurvePda(mintPk);
+  if (!curve.creator) throw new Error('Bonding curve has no creator field (unsupported curve version)');
+  return {
+    mintPk,
+    bondingCurve,
+    associatedBondingCurve: associatedTokenAddress(bondingCurve, mintPk, tokenProgram),
+    associatedUser: associatedTokenAddress(user, mintPk, tokenProgram),
+    creatorVault: pda([Buffer.from('creator-vault'), curve.creator.toBuffer()]),
+    feeConfig: pda([Buffer.from('fee_config'), PUMP_PROGRAM_ID.toBuffer()], PUMP_FEE_PROGRAM)
+  };
+}
+
+const ro = (pubkey) => ({ pubkey, isSigner: false, isWritable: false });
+const rw = (pubkey) => ({ pubkey, isSigner: false, isWritable: true });
+
+// Buy with a fixed SOL budget: quote tokens locally, cap cost at budget + slippage.
+export function buildBuyIxs({ user, mint, curve, tokenProgram = TOKEN_PROGRAM_ID, lamports, slippageBps, feeBps = 100, feeRecipient = DEFAULT_FEE_RECIPIENT }) {
+  const tokenAmount = quoteBuy(curve, lamports, feeBps);
+  if (tokenAmount <= 0n) throw new Error('Curve quote returned zero tokens');
+  const maxSolCost = (BigInt(lamports) * BigInt(10000 + slippageBps)) / 10000n;
+
+  const a = commonAccounts({ user, mint, curve, tokenProgram });
+  const ix = new TransactionInstruction({
+    programId: PUMP_PROGRAM_ID,
+    keys: [
+      ro(PUMP_GLOBAL),
+      rw(feeRecipient),
+      ro(a.mintPk),
+      rw(a.bondingCurve),
+      rw(a.associatedBondingCurve),
+      rw(a.associatedUser),
+      { pubkey: user, isSigner: true, isWritable: true },
+      ro(SystemProgram.programId),
+      ro(tokenProgram),
+      rw(a.creatorVault),
+      ro(PUMP_EVENT_AUTHORITY),
+      ro(PUMP_PROGRAM_ID),
+      rw(pda([Buffer.from('global_volume_accumulator')])),
+      rw(pda([Buffer.from('user_volume_accumulator'), user.toBuffer()])),
+      ro(a.feeConfig),
+      ro(PUMP_FEE_PROGRAM)
+    ],
+    data: Buffer.concat([BUY_DISCRIMINATOR, u64(tokenAmount), u64(maxSolCost)])
+  });
+
+  return {
+    ixs: [createAtaIdempotentIx({ payer: user, owner: user, mint: a.mintPk, tokenProgram }), ix],
+    tokenAmount,
+    maxSolCost
+  };
+}
+
+// Sell `amountRaw` tokens with a minimum SOL output of quote − slippage.
+export function buildSellIxs({ user, mint, curve, tokenProgram = TOKEN_PROGRAM_ID, amountRaw, slippageBps, feeBps = 100, feeRecipient = DEFAULT_FEE_RECIPIENT }) {
+  const quoted = quoteSell(curve, amountRaw, feeBps);
+  if (quoted <= 0n) throw new Error('Curve quote returned zero SOL');
+  const minSolOutput = (quoted * BigInt(Math.max(0, 10000 - slippageBps))) / 10000n;
+
+  const a = commonAccounts({ user, mint, curve, tokenProgram });
+  const ix = new TransactionInstruction({
+    programId: PUMP_PROGRAM_ID,
+    keys: [
+      ro(PUMP_GLOBAL),
+      rw(feeRecipient),
+      ro(a.mintPk),
+      rw(a.bondingCurve),
+      rw(a.associatedBondingCurve),
+      rw(a.associatedUser),
+      { pubkey: user, isSigner: true, isWritable: true },
+      ro(SystemProgram.programId),
+      rw(a.creatorVault),
+      ro(tokenProgram),
+      ro(PUMP_EVENT_AUTHORITY),
+      ro(PUMP_PROGRAM_ID),
+      ro(a.feeConfig),
+      ro(PUMP_FEE_PROGRAM)
+    ],
+    data: Buffer.concat([SELL_DISCRIMINATOR, u64(amountRaw), u64(minSolOutput)])
+  });
+
+  return { ixs: [ix], quoted, minSolOutput };
+}
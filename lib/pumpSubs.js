@@ -0,0 +1,107 @@
+// lib/pumpSubs.js — PumpPortal subscription bookkeeping.
+// Remembers every token/account key we asked for so a reconnect can restore them, evicts quiet
+// mints (never pinned ones, i.e. open positions) and keeps the numbers /feed reports.
+
+const TOKEN = { sub: 'subscribeTokenTrade', unsub: 'unsubscribeTokenTrade' };
+const ACCOUNT = { sub: 'subscribeAccountTrade', unsub: 'unsubscribeAccountTrade' };
+const BATCH = 100; // keys per subscribe message
+
+// `send(payload)` returns true when the socket took it; keys stay tracked either way.
+export function createSubscriptionManager({ send, now = () => Date.now(), isPinned = () => false }) {
+  const tokens = new Map();   // mint -> last activity ts
+  const accounts = new Set();
+  const streams = new Set();  // keyless streams: subscribeNewToken, subscribeMigration
+  let opened = false;         // connectedAt is cleared on close, so it can't tell a reconnect
+
+  const stats = {
+    connectedAt: null,
+    reconnects: 0,
+    lastMessageAt: null,
+    messages: 0,
+    evicted: 0,
+    rate: new Array(60).fill(0), // messages per second, ring buffer over the last minute
+    rateSec: 0
+  };
+
+  function sendKeys(method, keys) {
+    for (let i = 0; i < keys.length; i += BATCH) send({ method, keys: keys.slice(i, i + BATCH) });
+  }
+
+  return {
+    stats,
+    tokens,
+    accounts,
+
+    subscribeStream(method) { streams.add(method); send({ method }); },
+
+    subscribeTokens(mints, ts = now()) {
+      const fresh = mints.filter(m => !tokens.has(m));
+      for (const m of mints) tokens.set(m, Math.max(tokens.get(m) || 0, ts));
+      if (fresh.length) sendKeys(TOKEN.sub, fresh);
+    },
+
+    unsubscribeTokens(mints) {
+      const gone = mints.filter(m => tokens.delete(m));
+      if (gone.length) sendKeys(TOKEN.unsub, gone);
+    },
+
+    subscribeAccounts(wallets) {
+      const fresh = wallets.filter(w => !accounts.has(w));
+      fresh.forEach(w => accounts.add(w));
+      if (fresh.length) sendKeys(ACCOUNT.sub, fresh);
+    },
+
+    unsubscribeAccounts(wallets) {
+      const gone = wallets.filter(w => accounts.delete(w));
+      if (gone.length) sendKeys(ACCOUNT.unsub, gone);
+    },
+
+    // Socket (re)opened: re-send everything we're tracking.
+    onOpen(ts = Date.now()) {
+      if (opened) stats.reconnects++;
+      opened = true;
+      stats.connectedAt = ts;
+      stats.lastMessageAt = ts;
+      for (const method of streams) send({ method });
+      sendKeys(TOKEN.sub, [...tokens.keys()]);
+      sendKeys(ACCOUNT.sub, [...accounts]);
+    },
+
+    onClose() { stats.connectedAt = null; },
+
+    // Count a message; `mint` (if any) refreshes that subscription's activity.
+    onMessage(mint, ts = now(), wallTs = Date.now()) {
+      stats.messages++;
+      stats.lastMessageAt = wallTs;
+      const sec = Math.floor(wallTs / 1000);
+      if (sec !== stats.rateSec) {
+        for (let s = stats.rateSec + 1; s <= sec && s - stats.rateSec <= 60; s++) stats.rate[s % 60] = 0;
+        stats.rateSec = sec;
+      }
+      stats.rate[sec % 60]++;
+      if (mint && tokens.has(mint)) tokens.set(mint, ts);
+    },
+
+    // Messages/sec averaged over the last minute.
+    messageRate(wallTs = Date.now()) {
+      const sec = Math.floor(wallTs / 1000);
+      if (sec - stats.rateSec >= 60) return 0;
+      let n = 0;
+      for (let s = sec - 59; s <= sec; s++) if (s <= stats.rateSec) n += stats.rate[((s % 60) + 60) % 60];
+      return n / 60;
+    },
+
+    // Unsubscribe mints with no activity for `idleMs` (pinned mints are kept and refreshed).
+    // Returns the evicted mints so the caller can drop their feed buckets too.
+    evictIdle(idleMs, ts = now()) {
+      const idle = [];
+      for (const [mint, last] of tokens) {
+        if (isPinned(mint)) { tokens.set(mint, ts); continue; }
+        if (ts - last > idleMs) idle.push(mint);
+      }
+      this.unsubscribeTokens(idle);
+      stats.evicted += idle.length;
+      return idle;
+    }
+  };
+}
@@ -0,0 +1,45 @@
+// lib/reconcile.js — compare the wallet's token accounts with positions.json.
+// Untracked holdings can be adopted as positions, phantom positions (nothing left in the wallet)
+// pruned, and empty token accounts closed to reclaim their rent.
+
+import { PublicKey } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from './pumpNative.js';
+
+// Every token account `owner` has, across both token programs.
+export async function listTokenAccounts(connection, owner) {
+  const out = [];
+  for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+    const res = await connection.getParsedTokenAccountsByOwner(new PublicKey(owner), { programId });
+    for (const { pubkey, account } of res.value) {
+      const info = account.data.parsed.info;
+      out.push({
+        address: pubkey.toBase58(),
+        mint: info.mint,
+        programId: programId.toBase58(),
+        raw: BigInt(info.tokenAmount.amount),
+        decimals: info.tokenAmount.decimals,
+        rentLamports: account.lamports,
+        frozen: info.state === 'frozen'
+      });
+    }
+  }
+  return out;
+}
+
+// { untracked: [{ mint, raw }], phantom: [mint], empty: [account], stale: [trade] }. `skip` mints (WSOL)
+// are never untracked. `stale`: open ledger trades (ledger.buildTrades) no position tracks whose mint
+// the wallet no longer holds — sold or moved outside the bot, so nothing else would close them
+// (trades younger than `graceMs` are left alone: the buy may still be settling).
+export function diffHoldings({ accounts, positions, skip = [], trades = [], now = Date.now(), graceMs = 60_000 }) {
+  const ignore = new Set(skip);
+  const held = new Map(); // mint -> raw summed over its accounts
+  for (const a of accounts) held.set(a.mint, (held.get(a.mint) || 0n) + a.raw);
+  const tracked = new Set(Object.values(positions).map(p => p.tradeId).filter(Boolean));
+  return {
+    untracked: [...held].filter(([mint, raw]) => raw > 0n && !positions[mint] && !ignore.has(mint)).map(([mint, raw]) => ({ mint, raw })),
+    phantom: Object.keys(positions).filter(mint => !((held.get(mint) || 0n) > 0n)),
+    empty: accounts.filter(a => a.raw === 0n && !a.frozen), // frozen accounts can't be closed
+    stale: trades.filter(t => !t.closedAt && !tracked.has(t.tradeId) && !((held.get(t.mint) || 0n) > 0n)
+      && now - Date.parse(t.openedAt) >= graceMs)
+  };
+}
@@ -0,0 +1,96 @@
+// lib/recorder.js — record PumpPortal messages to rotating JSONL files and replay them.
+// Line format: {"ts": <epoch ms when received>, "msg": <raw PumpPortal message>}
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+const RECORDED_TYPES = new Set(['newToken', 'tokenTrade']);
+
+function stamp(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+}
+
+// Rotates on size (maxBytes) and at UTC day boundaries.
+export function createRecorder({ dir = './recordings', maxBytes = 64 * 1024 * 1024 } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  let stream = null;
+  let file = null;
+  let bytes = 0;
+  let day = null;
+  let lines = 0;
+
+  function rotate(ts) {
+    if (stream) stream.end();
+    file = path.join(dir, `pump-${stamp(ts)}.jsonl`);
+    stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', (e) => console.error('[Recorder]', e.message));
+    bytes = 0;
+    day = new Date(ts).toISOString().slice(0, 10);
+  }
+
+  return {
+    get file() { return file; },
+    get lines() { return lines; },
+    write(msg, ts = Date.now()) {
+      if (!RECORDED_TYPES.has(msg?.message)) return;
+      if (!stream || bytes >= maxBytes || new Date(ts).toISOString().slice(0, 10) !== day) rotate(ts);
+      const line = JSON.stringify({ ts, msg }) + '\n';
+      stream.write(line);
+      bytes += Buffer.byteLength(line);
+      lines++;
+    },
+    close() { if (stream) stream.end(); stream = null; }
+  };
+}
+
+// Streams records from one or more JSONL files (comma-separated or array), in file order.
+export async function* readRecords(files) {
+  const list = Array.isArray(files) ? files : String(files).split(',').map(s => s.trim()).filter(Boolean);
+  for (const f of list) {
+    const rl = readline.createInterface({ input: fs.createReadStream(f), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      try {
+        const rec = JSON.parse(line);
+        if (rec && Number.isFinite(rec.ts) && rec.msg) yield rec;
+      } catch {}
+    }
+  }
+}
+
+// Replays recorded files at `speed`x real time (0 = as fast as possible).
+// `now()` is the virtual clock to hand to createFeed so metric windows line up with recorded time.
+export function createReplay(files, { speed = 1 } = {}) {
+  let virtualTs = null;
+  let anchorWall = 0;
+  let anchorTs = 0;
+  let done = false;
+
+  return {
+    get done() { return done; },
+    now() {
+      if (virtualTs == null) return Date.now();
+      if (done || speed <= 0) return virtualTs;
+      return anchorTs + (Date.now() - anchorWall) * speed;
+    },
+    async run(onRecord) {
+      let count = 0;
+      for await (const rec of readRecords(files)) {
+        if (virtualTs == null) { anchorTs = rec.ts; anchorWall = Date.now(); }
+        if (speed > 0) {
+          const dueWall = anchorWall + (rec.ts - anchorTs) / speed;
+          const wait = dueWall - Date.now();
+          if (wait > 0) await new Promise(r => setTimeout(r, wait));
+        } else if (count % 1000 === 0) {
+          await new Promise(r => setImmediate(r)); // let timers and Telegram breathe
+        }
+        virtualTs = rec.ts;
+        onRecord(rec);
+        count++;
+      }
+      done = true;
+      return count;
+    }
+  };
+}
@@ -0,0 +1,81 @@
+// lib/risk.js — pre-trade risk limits: exposure cap, daily realized-loss limit,
+// SOL reserve for fees and a pause after N consecutive losing trades.
+
+export function riskFromEnv(env = process.env) {
+  const n = (key, def) => Number(env[key] ?? def);
+  return {
+    enabled: String(env.RISK_ENABLED ?? 'true').toLowerCase() === 'true',
+    maxExposureSol: n('RISK_MAX_EXPOSURE_SOL', '0.2'),
+    dailyLossLimitSol: n('RISK_DAILY_LOSS_LIMIT_SOL', '0.1'),
+    minReserveSol: n('RISK_MIN_RESERVE_SOL', '0.02'),
+    maxConsecLosses: n('RISK_MAX_CONSEC_LOSSES', '4'),
+    pauseMin: n('RISK_PAUSE_MIN', '60'),
+    pausedUntil: 0,
+    trippedReason: null,
+    streakResetAt: 0 // losses before this (ms) don't count toward the streak
+  };
+}
+
+const startOfUtcDay = (now) => { const d = new Date(now); d.setUTCHours(0, 0, 0, 0); return d.getTime(); };
+
+// SOL still at risk: cost basis of open positions minus what partial sells already returned, plus
+// open ledger trades (from ledger.buildTrades) that no position tracks — e.g. a plain /buy.
+export function exposureSol(positions, trades = []) {
+  const list = Object.values(positions);
+  const tracked = new Set(list.map(p => p.tradeId).filter(Boolean));
+  const held = list.reduce((acc, p) => acc + Math.max(0, Number(p.entrySolSpent || 0) - Number(p.realizedSol || 0)), 0);
+  const untracked = trades.filter(t => !t.closedAt && !tracked.has(t.tradeId))
+    .reduce((acc, t) => acc + Math.max(0, t.solIn - t.solOut), 0);
+  return held + untracked;
+}
+
+// `trades` are closed round trips from ledger.buildTrades (closedAt, pnlSol).
+export function dailyRealizedSol(trades, now = Date.now()) {
+  const since = startOfUtcDay(now);
+  return trades.filter(t => t.closedAt && Date.parse(t.closedAt) >= since).reduce((a, t) => a + (t.pnlSol || 0), 0);
+}
+
+export function lossStreak(trades, sinceTs = 0) {
+  const closed = trades.filter(t => t.closedAt && Date.parse(t.closedAt) >= sinceTs)
+    .sort((a, b) => Date.parse(a.closedAt) - Date.parse(b.closedAt));
+  let n = 0;
+  for (let i = closed.length - 1; i >= 0 && closed[i].pnlSol <= 0; i--) n++;
+  return n;
+}
+
+// Limits that pause trading outright (checked before buys and after every closed trade).
+// Returns null or { reason, pausedUntil }.
+export function checkTrips({ cfg, trades, now = Date.now() }) {
+  if (!cfg.enabled) return null;
+  const daily = dailyRealizedSol(trades, now);
+  if (cfg.dailyLossLimitSol > 0 && daily <= -cfg.dailyLossLimitSol) {
+    return {
+      reason: `Daily loss limit: ${daily.toFixed(4)} SOL ≤ -${cfg.dailyLossLimitSol}`,
+      pausedUntil: startOfUtcDay(now) + 24 * 60 * 60 * 1000
+    };
+  }
+  const streak = lossStreak(trades, cfg.streakResetAt);
+  if (cfg.maxConsecLosses > 0 && streak >= cfg.maxConsecLosses) {
+    return { reason: `${streak} consecutive losses`, pausedUntil: now + cfg.pauseMin * 60000 };
+  }
+  return null;
+}
+
+// Gate a buy of `amountSol`. Returns { ok, reason, trip } — `trip` is set when a pause limit fired.
+export function checkBuy({ cfg, positions, trades, balanceSol, amountSol, now = Date.now() }) {
+  if (!cfg.enabled) return { ok: true };
+  if (cfg.pausedUntil > now) {
+    return { ok: false, reason: `Trading paused until ${new Date(cfg.pausedUntil).toISOString()} (${cfg.trippedReason || 'risk limit'})` };
+  }
+  const trip = checkTrips({ cfg, trades, now });
+  if (trip) return { ok: false, reason: trip.reason, trip };
+
+  const exposure = exposureSol(positions, trades);
+  if (cfg.maxExposureSol > 0 && exposure + amountSol > cfg.maxExposureSol) {
+    return { ok: false, reason: `Exposure cap: ${exposure.toFixed(4)} + ${amountSol} > ${cfg.maxExposureSol} SOL` };
+  }
+  if (balanceSol != null && balanceSol - amountSol < cfg.minReserveSol) {
+    return { ok: false, reason: `Reserve: balance ${balanceSol.toFixed(4)} − ${amountSol} < ${cfg.minReserveSol} SOL` };
+  }
+  return { ok: true };
+}
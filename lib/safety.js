@@ -0,0 +1,98 @@
+// lib/safety.js — pre-buy token safety scorer for autopilot candidates.
+// Hard fails (authority not revoked, creator already sold) reject outright; soft checks
+// subtract from a 100-point score that must stay above minSafetyScore.
+
+import { PublicKey } from '@solana/web3.js';
+import { bondingCurvePda } from './pumpCurve.js';
+import { associatedTokenAddress } from './pumpNative.js';
+
+export function safetyFromEnv(env = process.env) {
+  const n = (key, def) => Number(env[key] ?? def);
+  const b = (key, def) => String(env[key] ?? def).toLowerCase() === 'true';
+  return {
+    safetyEnabled: b('AUTOPILOT_SAFETY_ENABLED', 'true'),
+    minSafetyScore: n('AUTOPILOT_MIN_SAFETY_SCORE', '60'),
+    requireMintRevoked: b('AUTOPILOT_REQUIRE_MINT_REVOKED', 'true'),
+    requireFreezeRevoked: b('AUTOPILOT_REQUIRE_FREEZE_REVOKED', 'true'),
+    rejectCreatorSold: b('AUTOPILOT_REJECT_CREATOR_SOLD', 'true'),
+    maxTopHolderPct: n('AUTOPILOT_MAX_TOP_HOLDER_PCT', '10'),
+    maxTop10Pct: n('AUTOPILOT_MAX_TOP10_PCT', '35'),
+    maxCreatorPct: n('AUTOPILOT_MAX_CREATOR_PCT', '8'),
+    maxCreatorLaunches1h: n('AUTOPILOT_MAX_CREATOR_LAUNCHES_1H', '3')
+  };
+}
+
+// Soft-check penalties (points off 100)
+const PENALTY = { topHolder: 30, top10: 25, creatorPct: 20, serialLauncher: 15 };
+
+// `bucket` is feed.byMint.get(mint) (creator, creatorSold, initialBuyTokens); `launches` from feed.launchesBy.
+export async function scoreMintSafety(connection, mint, cfg, { bucket = null, launches = 0 } = {}) {
+  const mintPk = new PublicKey(mint);
+  const reasons = [];
+  const hard = [];
+  let score = 100;
+
+  const info = await connection.getParsedAccountInfo(mintPk);
+  const parsed = info?.value?.data?.parsed?.info;
+  if (!parsed) return { ok: false, score: 0, reasons: ['mint account not found'], hardFail: true };
+  const tokenProgram = info.value.owner;
+  const decimals = parsed.decimals;
+  const supply = Number(parsed.supply) / 10 ** decimals;
+
+  // Authorities
+  if (parsed.mintAuthority) {
+    const r = 'mint authority not revoked';
+    cfg.requireMintRevoked ? hard.push(r) : reasons.push(r);
+  }
+  if (parsed.freezeAuthority) {
+    const r = 'freeze authority set';
+    cfg.requireFreezeRevoked ? hard.push(r) : reasons.push(r);
+  }
+
+  // Holder concentration, ignoring the bonding curve's own token account
+  const curveAta = associatedTokenAddress(bondingCurvePda(mintPk), mintPk, tokenProgram).toBase58();
+  const largest = await connection.getTokenLargestAccounts(mintPk);
+  const holders = largest.value.filter(a => a.address.toBase58() !== curveAta && Number(a.uiAmount) > 0);
+  const pctOf = (ui) => (supply > 0 ? (Number(ui) / supply) * 100 : 0);
+  const topPct = holders.length ? pctOf(holders[0].uiAmount) : 0;
+  const top10Pct = holders.slice(0, 10).reduce((a, h) => a + pctOf(h.uiAmount), 0);
+  if (topPct > cfg.maxTopHolderPct) { score -= PENALTY.topHolder; reasons.push(`top holder ${topPct.toFixed(1)}% > ${cfg.maxTopHolderPct}%`); }
+  if (top10Pct > cfg.maxTop10Pct) { score -= PENALTY.top10; reasons.push(`top10 ${top10Pct.toFixed(1)}% > ${cfg.maxTop10Pct}%`); }
+
+  // Creator holdings + whether they've sold (feed trade seen, or balance below their initial buy)
+  let creatorPct = null;
+  const creator = bucket?.creator;
+  if (creator) {
+    let creatorUi = 0;
+    try {
+      const ata = associatedTokenAddress(new PublicKey(creator), mintPk, tokenProgram);
+      const bal = await connection.getTokenAccountBalance(ata);
+      creatorUi = Number(bal.value.uiAmount || 0);
+    } catch {} // no account → holds nothing
+    creatorPct = pctOf(creatorUi);
+    if (creatorPct > cfg.maxCreatorPct) { score -= PENALTY.creatorPct; reasons.push(`creator holds ${creatorPct.toFixed(1)}% > ${cfg.maxCreatorPct}%`); }
+
+    const soldOnChain = bucket.initialBuyTokens > 0 && creatorUi < bucket.initialBuyTokens * 0.99;
+    if (bucket.creatorSold || soldOnChain) {
+      const r = 'creator already sold';
+      cfg.rejectCreatorSold ? hard.push(r) : reasons.push(r);
+    }
+    if (cfg.maxCreatorLaunches1h > 0 && launches > cfg.maxCreatorLaunches1h) {
+      score -= PENALTY.serialLauncher;
+      reasons.push(`creator launched ${launches} tokens in 1h`);
+    }
+  } else {
+    reasons.push('creator unknown (no newToken event seen)');
+  }
+
+  score = Math.max(0, score);
+  const ok = !hard.length && score >= cfg.minSafetyScore;
+  if (score < cfg.minSafetyScore) reasons.push(`score ${score} < ${cfg.minSafetyScore}`);
+  return {
+    ok,
+    score,
+    hardFail: hard.length > 0,
+    reasons: [...hard, ...reasons],
+    checks: { topPct, top10Pct, creatorPct, launches, mintAuthority: parsed.mintAuthority || null, freezeAuthority: parsed.freezeAuthority || null }
+  };
+}
@@ -0,0 +1,83 @@
+// lib/signals.js — autopilot momentum gates + candidate scoring (pure; used by strategies/momentum.js).
+
+// Gate values from env, with the same defaults the bot has always shipped.
+export function gatesFromEnv(env = process.env) {
+  const n = (key, def) => Number(env[key] ?? def);
+  return {
+    // Momentum gates only (pre-migration)
+    minBuys5m: n('AUTOPILOT_MIN_5M_BUY_TX', '20'),
+    minChange5m: n('AUTOPILOT_MIN_5M_PRICE_CHANGE_PCT', '4'),
+
+    // Short-term gates
+    minChange1m: n('AUTOPILOT_MIN_1M_PRICE_CHANGE_PCT', '2'),
+    minBuys1m: n('AUTOPILOT_MIN_1M_BUY_TX', '6'),
+    momoWeight: n('AUTOPILOT_MOMO_WEIGHT', '1.8'),
+
+    // Sub-minute gates
+    minChange30s: n('AUTOPILOT_MIN_30S_PRICE_CHANGE_PCT', '0.9'),
+    minBuys30s: n('AUTOPILOT_MIN_30S_BUY_TX', '4'),
+    minChange15s: n('AUTOPILOT_MIN_15S_PRICE_CHANGE_PCT', '0.6'),
+    minBuys15s: n('AUTOPILOT_MIN_15S_BUY_TX', '3'),
+
+    // Flow / curve gates (0 = off)
+    minBuyVol1m: n('AUTOPILOT_MIN_1M_BUY_VOL_SOL', '0'),
+    minNetFlow1m: n('AUTOPILOT_MIN_1M_NET_FLOW_SOL', '0'),
+    minBuyers1m: n('AUTOPILOT_MIN_1M_UNIQUE_BUYERS', '0'),
+    minBuySellRatio1m: n('AUTOPILOT_MIN_1M_BUY_SELL_RATIO', '0'),
+    maxLargestBuyPct1m: n('AUTOPILOT_MAX_1M_LARGEST_BUY_PCT', '0'),   // largest buy's share of 1m buy volume
+    minVwapPremium1m: n('AUTOPILOT_MIN_1M_PRICE_VS_VWAP_PCT', '0'),  // price above 1m VWAP
+    minCurvePct: n('AUTOPILOT_MIN_CURVE_PROGRESS_PCT', '0'),
+    maxCurvePct: n('AUTOPILOT_MAX_CURVE_PROGRESS_PCT', '0'),
+    minMcapSol: n('AUTOPILOT_MIN_MCAP_SOL', '0'),
+    maxMcapSol: n('AUTOPILOT_MAX_MCAP_SOL', '0'),
+    flowWeight: n('AUTOPILOT_FLOW_WEIGHT', '1')
+  };
+}
+
+// True when every momentum gate passes.
+export function passesGates(m, cfg) {
+  if (!m || !isFinite(m.priceNowSol) || m.priceNowSol <= 0) return false;
+
+  // Momentum gates (sub-minute first)
+  if (m.buys15s  < cfg.minBuys15s)    return false;
+  if (m.chg15s   < cfg.minChange15s)  return false;
+  if (m.buys30s  < cfg.minBuys30s)    return false;
+  if (m.chg30s   < cfg.minChange30s)  return false;
+
+  // Minute/5m
+  if (m.buys1m   < cfg.minBuys1m)     return false;
+  if (m.chg1m    < cfg.minChange1m)   return false;
+  if (m.buys5m   < cfg.minBuys5m)     return false;
+  if (m.chg5m    < cfg.minChange5m)   return false;
+
+  // Flow / curve (0 = off; unknown values fail an active gate)
+  const min = (v, g) => !g || (v != null && v >= g);
+  const max = (v, g) => !g || (v != null && v <= g);
+  if (!min(m.buyVol1m, cfg.minBuyVol1m))               return false;
+  if (!min(m.netFlow1m, cfg.minNetFlow1m))             return false;
+  if (!min(m.buyers1m, cfg.minBuyers1m))               return false;
+  if (!min(m.buySellRatio1m, cfg.minBuySellRatio1m))   return false;
+  if (!max(largestBuyPct(m), cfg.maxLargestBuyPct1m))  return false;
+  if (!min(m.priceVsVwap1m, cfg.minVwapPremium1m))     return false;
+  if (!min(m.curveProgressPct, cfg.minCurvePct))       return false;
+  if (!max(m.curveProgressPct, cfg.maxCurvePct))       return false;
+  if (!min(m.mcapSol, cfg.minMcapSol))                 return false;
+  if (!max(m.mcapSol, cfg.maxMcapSol))                 return false;
+  return true;
+}
+
+// Largest single buy as a share of 1m buy volume (one whale carrying the move is fragile).
+export function largestBuyPct(m) {
+  return m.buyVol1m > 0 ? (m.maxBuy1m / m.buyVol1m) * 100 : null;
+}
+
+// Score with extra weight to sub-minute bursts + 1m momo, plus 1m order flow (flowWeight 0 = momentum only)
+export function scoreMetrics(m, cfg) {
+  const w = cfg.momoWeight || 1.8;
+  const f = cfg.flowWeight ?? 1;
+  return (m.buys15s * 2.5) + (m.chg15s * 3.0) +
+         (m.buys30s * 1.8) + (m.chg30s * 2.2) +
+         (m.buys1m  * 1.2 * w) + (m.chg1m * 1.5 * w) +
+         (m.buys5m  * 0.8) + (m.chg5m * 1.0) +
+         f * ((m.netFlow1m || 0) * 5 + (m.buyers1m || 0) * 1.0 + Math.min(m.buySellRatio1m || 0, 5) * 2);
+}
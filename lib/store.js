@@ -0,0 +1,130 @@
+// lib/store.js — crash-safe JSON documents (positions, configs, orders …).
+// A save writes a temp file, fsyncs it, renames it over the target and fsyncs the directory, so a
+// crash leaves either the old or the new document, never half of one, and a completed rename sticks.
+// Documents carry a schema version and are migrated forward; a corrupt file is set aside and
+// reported instead of read as empty.
+
+import fs from 'fs';
+import path from 'path';
+
+function fsyncWrite(file, text, flag = 'w') {
+  const fd = fs.openSync(file, flag);
+  try { fs.writeSync(fd, text); fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+}
+
+// The rename lives in the directory entry: without this a power loss can undo it.
+function fsyncDir(dir) {
+  let fd;
+  try { fd = fs.openSync(dir, 'r'); fs.fsyncSync(fd); }
+  catch {} // not supported everywhere (e.g. Windows); the file itself is already on disk
+  finally { if (fd != null) fs.closeSync(fd); }
+}
+
+function writeAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  fsyncWrite(tmp, text);
+  fs.renameSync(tmp, file);
+  fsyncDir(path.dirname(path.resolve(file)));
+}
+
+// On disk: { schemaVersion, data }. Files written before versioning are the bare data (version 0).
+// `migrations[n]` upgrades a document from version n-1 to n.
+export function createStore(file, { version = 1, migrations = {}, fallback = () => ({}) } = {}) {
+  function migrate(doc) {
+    let v = doc.schemaVersion;
+    let data = doc.data;
+    if (v > version) throw new Error(`${file} has schema v${v}, newer than this bot (v${version})`);
+    for (v += 1; v <= version; v++) {
+      if (migrations[v]) data = migrations[v](data);
+    }
+    return data;
+  }
+
+  function readFile() {
+    if (!fs.existsSync(file)) return null;
+    const text = fs.readFileSync(file, 'utf-8');
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && typeof parsed === 'object' && 'schemaVersion' in parsed && 'data' in parsed
+        ? parsed
+        : { schemaVersion: 0, data: parsed };
+    } catch (e) {
+      const kept = `${file}.corrupt-${Date.now()}`;
+      fs.copyFileSync(file, kept);
+      throw new Error(`${file} is corrupt (${e.message}); copy kept at ${kept}`);
+    }
+  }
+
+  function save(data) {
+    writeAtomic(file, JSON.stringify({ schemaVersion: version, data }, null, 2));
+  }
+
+  // Throws on a corrupt file — callers decide whether that's fatal.
+  function load() {
+    const doc = readFile();
+    if (!doc) return fallback();
+    const data = migrate(doc);
+    if (doc.schemaVersion !== version) save(data); // settle the migrated document into the file
+    return data;
+  }
+
+  return { file, load, save };
+}
+
+// Idempotency keys: `begin(key)` is false when the key was already seen (within `ttlMs`), so a
+// redelivered or retried command is dropped instead of trading twice. Keys live in an append-only
+// JSONL log (one fsynced line per begin) that is compacted to the live keys when it grows.
+export function createIdempotency(file, { ttlMs = 24 * 60 * 60 * 1000, max = 1000, now = () => Date.now() } = {}) {
+  const keys = {}; // key -> { at, status, note }
+  let lines = 0;
+
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line) continue;
+      try {
+        const { key, ...rest } = JSON.parse(line);
+        keys[key] = { ...keys[key], ...rest };
+        lines++;
+      } catch {} // a torn last line from a crash
+    }
+  }
+
+  function prune() {
+    const cutoff = now() - ttlMs;
+    const live = Object.entries(keys).filter(([, v]) => v.at >= cutoff).sort((a, b) => b[1].at - a[1].at).slice(0, max);
+    for (const k of Object.keys(keys)) delete keys[k];
+    for (const [k, v] of live) keys[k] = v;
+  }
+
+  function compact() {
+    prune();
+    const entries = Object.entries(keys);
+    writeAtomic(file, entries.map(([key, v]) => JSON.stringify({ key, ...v }) + '\n').join(''));
+    lines = entries.length;
+  }
+
+  function append(entry, sync) {
+    const text = JSON.stringify(entry) + '\n';
+    if (sync) fsyncWrite(file, text, 'a');
+    else fs.appendFileSync(file, text);
+    if (++lines > 2 * max) compact();
+  }
+
+  compact();
+
+  return {
+    keys,
+    begin(key) {
+      const seen = keys[key];
+      if (seen && seen.at >= now() - ttlMs) return false;
+      keys[key] = { at: now(), status: 'pending' };
+      append({ key, ...keys[key] }, true); // durable before the command acts
+      return true;
+    },
+    finish(key, status = 'done', note = null) {
+      if (!keys[key]) return;
+      Object.assign(keys[key], { status, ...(note ? { note } : {}) });
+      append({ key, status, ...(note ? { note } : {}) }, false);
+    }
+  };
+}
@@ -0,0 +1,63 @@
+// lib/strategies.js — pluggable candidate strategies.
+// A strategy module (default export) looks like:
+//   { name, description?, evaluate(metrics, { mint, cfg, bucket, now }) → { accept, score?, exitProfile?, reason? } }
+// `metrics` is feed.metrics(mint); `cfg` is the autopilot config. Held, blacklisted and
+// cooling-down mints never reach evaluate().
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export async function loadStrategies(dir) {
+  const out = new Map();
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+  for (const f of files) {
+    // The mtime in the query string busts the module cache when a file changes, so /strategy reload
+    // picks up edits while unchanged files resolve to the module already loaded. ESM has no unload:
+    // each edited version stays in memory until restart — fine for occasional edits, not for a loop.
+    const file = path.resolve(dir, f);
+    const mod = await import(`${pathToFileURL(file).href}?v=${fs.statSync(file).mtimeMs}`);
+    const s = mod.default;
+    if (!s || typeof s.evaluate !== 'function') throw new Error(`${f}: default export needs an evaluate() function`);
+    const name = String(s.name || path.basename(f, '.js')).toLowerCase();
+    if (out.has(name)) throw new Error(`${f}: duplicate strategy name "${name}"`);
+    out.set(name, { ...s, name, file: f });
+  }
+  return out;
+}
+
+// Held / blacklisted / cooling-down mints are out before any strategy sees them.
+export function eligible({ cfg, positions, mint, now }) {
+  if (cfg.blacklist.includes(mint)) return false;
+  if (positions[mint]) return false;
+  return now - (cfg.lastTried[mint] || 0) >= cfg.cooldownMs;
+}
+
+// Run one strategy on one mint. Returns { mint, score, exitProfile, reason } when accepted, else null.
+// A throwing strategy rejects (and logs) rather than taking the loop down.
+export function evaluateMint({ feed, cfg, positions, mint, strategy, now = feed.now() }) {
+  if (!eligible({ cfg, positions, mint, now })) return null;
+  const m = feed.metrics(mint);
+  if (!m || !isFinite(m.priceNowSol) || m.priceNowSol <= 0) return null;
+  let v;
+  try {
+    v = strategy.evaluate(m, { mint, cfg, bucket: feed.byMint.get(mint), now });
+  } catch (e) {
+    console.error(`[Strategy ${strategy.name}]`, mint, e.message);
+    return null;
+  }
+  if (!v?.accept) return null;
+  return { mint, score: Number(v.score) || 0, exitProfile: v.exitProfile || null, reason: v.reason || null };
+}
+
+// Accepted mints ranked by score, capped at the room left under cfg.maxOpen.
+export function rankCandidates({ feed, cfg, positions, strategy, now = feed.now() }) {
+  const room = Math.max(0, cfg.maxOpen - Object.keys(positions).length);
+  if (room === 0) return [];
+  const picks = [];
+  for (const mint of feed.byMint.keys()) {
+    const v = evaluateMint({ feed, cfg, positions, mint, strategy, now });
+    if (v) picks.push(v);
+  }
+  return picks.sort((a, b) => b.score - a.score).slice(0, room);
+}
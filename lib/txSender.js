@@ -0,0 +1,182 @@
+// lib/txSender.js — one transaction sender for every trade route.
+// Prices priority fees off recent prioritization fees (clamped to min/max), rebroadcasts a signed
+// tx until it confirms or its blockhash expires, classifies failures into TxError kinds and
+// records landing latency per route.
+
+import { PublicKey } from '@solana/web3.js';
+
+export const TX_EXPIRED = 'expired';                       // blockhash expired before it landed (safe to resend)
+export const TX_SLIPPAGE = 'slippage';                     // price moved past the slippage limit
+export const TX_INSUFFICIENT_FUNDS = 'insufficient_funds';
+export const TX_TIMEOUT = 'timeout';                       // no verdict in time — it may still land
+export const TX_FAILED = 'failed';
+
+export class TxError extends Error {
+  constructor(kind, message, { sig = null, cause = null } = {}) {
+    super(message);
+    this.name = 'TxError';
+    this.kind = kind;
+    this.sig = sig;
+    if (cause) this.cause = cause;
+  }
+}
+
+export function txFromEnv(env = process.env) {
+  const n = (key, def) => Number(env[key] ?? def);
+  return {
+    dynamicFees: String(env.PRIORITY_FEE_DYNAMIC ?? 'true').toLowerCase() === 'true',
+    feePercentile: n('PRIORITY_FEE_PERCENTILE', '75'),
+    minFeeSol: n('PRIORITY_FEE_MIN_SOL', '0.00001'),
+    maxFeeSol: n('PRIORITY_FEE_MAX_SOL', '0.002'),
+    fallbackFeeSol: n('PUMPPORTAL_PRIORITY_FEE', '0.00005'), // fixed fee when dynamic is off or the RPC call fails
+    rebroadcastMs: n('TX_REBROADCAST_MS', '2000'),
+    confirmTimeoutMs: n('TX_CONFIRM_TIMEOUT_SEC', '60') * 1000,
+    slippageRetries: n('TX_SLIPPAGE_RETRIES', '2')
+  };
+}
+
+// Program errors: Jupiter SlippageToleranceExceeded (6001), pump TooMuchSolRequired / TooLittleSolReceived (6002/6003).
+const SLIPPAGE_RE = /slippage|TooMuchSolRequired|TooLittleSolReceived|"Custom":600[123]\b|custom program error: 0x177[123]\b/i;
+const FUNDS_RE = /insufficient (lamports|funds)|InsufficientFunds|"Custom":1\}|custom program error: 0x1\b/i;
+const EXPIRED_RE = /block ?height exceeded|blockhash not found|expired/i;
+
+// `err` is a send/simulation exception (message + logs) or an on-chain status error object.
+export function classifyTxError(err) {
+  const text = err instanceof Error
+    ? `${err.message} ${(err.logs || []).join(' ')}`
+    : typeof err === 'string' ? err : JSON.stringify(err);
+  if (SLIPPAGE_RE.test(text)) return TX_SLIPPAGE;
+  if (FUNDS_RE.test(text)) return TX_INSUFFICIENT_FUNDS;
+  if (EXPIRED_RE.test(text)) return TX_EXPIRED;
+  return TX_FAILED;
+}
+
+// Slippage for retry `n` of a re-quoted send: +50% of the base per retry, capped.
+export function escalateSlippage(base, retry, cap = Infinity) {
+  return Math.min(cap, base * (1 + 0.5 * retry));
+}
+
+function percentile(values, pct) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((pct / 100) * sorted.length))];
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const POLL_MS = 500;
+const FEE_CACHE_MS = 10_000;
+
+export function createTxSender({ connection, cfg }) {
+  const latency = new Map(); // route -> { landed, failed, totalMs, lastMs, maxMs, kinds: { kind: n } }
+  const feeCache = new Map(); // account key -> { at, sol }
+
+  function statsFor(route) {
+    if (!latency.has(route)) latency.set(route, { landed: 0, failed: 0, totalMs: 0, lastMs: null, maxMs: 0, kinds: {} });
+    return latency.get(route);
+  }
+  function landed(route, ms) {
+    const s = statsFor(route);
+    s.landed++; s.totalMs += ms; s.lastMs = ms; s.maxMs = Math.max(s.maxMs, ms);
+  }
+  function failed(route, err) {
+    const s = statsFor(route);
+    s.failed++; s.kinds[err.kind] = (s.kinds[err.kind] || 0) + 1;
+    return err;
+  }
+  const asTxError = (e, sig = null) => (e instanceof TxError ? e : new TxError(classifyTxError(e), e.message, { sig, cause: e }));
+
+  // Priority fee in SOL for a tx of `units` CU that write-locks `accounts`.
+  async function priorityFeeSol({ accounts = [], units = 120_000 } = {}) {
+    if (!cfg.dynamicFees) return cfg.fallbackFeeSol;
+    const key = accounts.map(String).join(',');
+    const hit = feeCache.get(key);
+    if (hit && Date.now() - hit.at < FEE_CACHE_MS) return hit.sol;
+
+    let sol = cfg.fallbackFeeSol;
+    try {
+      const recent = await connection.getRecentPrioritizationFees(
+        accounts.length ? { lockedWritableAccounts: accounts.map(a => new PublicKey(a)) } : undefined
+      );
+      const micro = percentile(recent.map(r => r.prioritizationFee).filter(f => f > 0), cfg.feePercentile);
+      if (micro != null) sol = (micro * units) / 1e12; // µlamports/CU × CU → SOL
+    } catch (e) {
+      console.warn('[Tx] priority fee estimate failed:', e.message);
+    }
+    sol = Math.min(cfg.maxFeeSol, Math.max(cfg.minFeeSol, sol));
+    if (feeCache.size > 500) feeCache.clear();
+    feeCache.set(key, { at: Date.now(), sol });
+    return sol;
+  }
+
+  // Poll a signature until it confirms, fails, its blockhash expires or we time out.
+  // Works for txs someone else broadcast (PumpPortal) — pass `rebroadcast` to resend our own.
+  async function confirm(sig, { route, started = Date.now(), lastValidBlockHeight = null, rebroadcast = null }) {
+    const deadline = started + cfg.confirmTimeoutMs;
+    let lastSent = Date.now();
+    for (;;) {
+      let st = null;
+      try { st = (await connection.getSignatureStatuses([sig])).value[0]; } catch {}
+      if (st?.err) {
+        throw failed(route, new TxError(classifyTxError(st.err), `${route} tx ${sig.slice(0, 8)}… failed: ${JSON.stringify(st.err)}`, { sig }));
+      }
+      if (st && (st.confirmationStatus === 'confirmed' || st.confirmationStatus === 'finalized')) {
+        const ms = Date.now() - started;
+        landed(route, ms);
+        return { sig, latencyMs: ms, slot: st.slot };
+      }
+      if (Date.now() > deadline) {
+        throw failed(route, new TxError(TX_TIMEOUT, `${route} tx ${sig.slice(0, 8)}… not confirmed after ${Math.round(cfg.confirmTimeoutMs / 1000)}s`, { sig }));
+      }
+      if (Date.now() - lastSent >= cfg.rebroadcastMs) {
+        lastSent = Date.now();
+        if (lastValidBlockHeight != null) {
+          const height = await connection.getBlockHeight('confirmed').catch(() => 0);
+          if (height > lastValidBlockHeight) {
+            // One last look: it may have landed in the final blocks
+            const last = (await connection.getSignatureStatuses([sig]).catch(() => ({ value: [] }))).value[0];
+            if (!last?.confirmationStatus || last.err) {
+              throw failed(route, new TxError(TX_EXPIRED, `${route} tx ${sig.slice(0, 8)}… expired (blockhash)`, { sig }));
+            }
+            continue;
+          }
+        }
+        if (rebroadcast) await rebroadcast();
+      }
+      await sleep(POLL_MS);
+    }
+  }
+
+  // Send a signed VersionedTransaction and rebroadcast until it lands. Returns { sig, latencyMs, slot }.
+  async function send(tx, { route, lastValidBlockHeight = null, skipPreflight = true }) {
+    const raw = tx.serialize();
+    const started = Date.now();
+    let sig;
+    try {
+      sig = await connection.sendRawTransaction(raw, { skipPreflight, maxRetries: 0 });
+    } catch (e) {
+      throw failed(route, asTxError(e));
+    }
+    const rebroadcast = () => connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+    return confirm(sig, { route, started, lastValidBlockHeight, rebroadcast });
+  }
+
+  // Run `attempt(retry)` again while it fails on slippage; each attempt should re-quote and widen.
+  async function withSlippageRetry(attempt, { route }) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt(retry);
+      } catch (e) {
+        if (!(e instanceof TxError) || e.kind !== TX_SLIPPAGE || retry >= cfg.slippageRetries) throw e;
+        console.warn(`[Tx] ${route} hit slippage, re-quoting (retry ${retry + 1}/${cfg.slippageRetries})`);
+      }
+    }
+  }
+
+  return {
+    latency,
+    priorityFeeSol,
+    send,
+    confirm,
+    withSlippageRetry
+  };
+}
@@ -0,0 +1,13 @@
+// strategies/momentum.js — the original autopilot logic: every momentum + flow/curve gate in the
+// autopilot config must pass; candidates rank by the weighted momentum/flow score.
+
+import { passesGates, scoreMetrics } from '../lib/signals.js';
+
+export default {
+  name: 'momentum',
+  description: 'Autopilot gates from /autofilters, ranked by weighted momentum + 1m flow',
+  evaluate(m, { cfg }) {
+    if (!passesGates(m, cfg)) return { accept: false };
+    return { accept: true, score: scoreMetrics(m, cfg) };
+  }
+};
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { accessFromEnv, roleOf, hasRole, requiredRole, parseCommand, parseEvents, EVENTS } from '../lib/access.js';
+
+const cfg = accessFromEnv({ TELEGRAM_ALLOWED_USER_ID: '1', TELEGRAM_ALLOWED_CHAT_ID: '-100', TELEGRAM_CHAT_ROLE: 'viewer' });
+
+test('roleOf takes the highest role that applies', () => {
+  assert.equal(roleOf({ userId: '1', chatId: '5' }, {}, cfg), 'admin');
+  assert.equal(roleOf({ userId: '2', chatId: '-100' }, {}, cfg), 'viewer');
+  assert.equal(roleOf({ userId: '2', chatId: '-100' }, { 2: { role: 'trader' } }, cfg), 'trader');
+  assert.equal(roleOf({ userId: '3', chatId: '5' }, {}, cfg), null);
+  assert.equal(hasRole('trader', 'viewer'), true);
+  assert.equal(hasRole('trader', 'admin'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('requiredRole: reads are viewer-level, config is admin, everything else trades', () => {
+  assert.equal(requiredRole('pnl'), 'viewer');
+  assert.equal(requiredRole('orders'), 'viewer');
+  assert.equal(requiredRole('autopilot', 'status'), 'viewer');
+  assert.equal(requiredRole('autopilot', 'on'), 'admin');
+  assert.equal(requiredRole('follow', 'list'), 'viewer');
+  assert.equal(requiredRole('follow', 'add'), 'trader');
+  assert.equal(requiredRole('buy'), 'trader');
+  assert.equal(requiredRole('users'), 'admin');
+  assert.equal(requiredRole('st', '', { action: true }), 'viewer');
+  assert.equal(requiredRole('bl', '', { action: true }), 'admin');
+  assert.equal(requiredRole('sell', '', { action: true }), 'trader');
+});
+
+test('parseCommand strips the slash and bot name', () => {
+  assert.deepEqual(parseCommand('/Autopilot@PumpBot status extra'), ['autopilot', 'status']);
+  assert.deepEqual(parseCommand('/bal'), ['bal', '']);
+});
+
+test('parseEvents defaults to everything and rejects unknown names', () => {
+  assert.deepEqual(parseEvents([]), EVENTS);
+  assert.deepEqual(parseEvents(['fills', 'all']), EVENTS);
+  assert.deepEqual(parseEvents(['fills', 'tpsl', 'fills']), ['fills', 'tpsl']);
+  assert.throws(() => parseEvents(['fills', 'spam']), /Unknown event\(s\): spam/);
+  assert.throws(() => accessFromEnv({ TELEGRAM_CHAT_ROLE: 'owner' }), /TELEGRAM_CHAT_ROLE/);
+});
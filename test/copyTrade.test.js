@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { copyBuySol, applyLeaderTrade } from '../lib/copyTrade.js';
+
+test('copyBuySol scales the leader buy, caps it and skips dust', () => {
+  assert.equal(copyBuySol({ scale: 0.1, maxSol: 0.5 }, 2), 0.2);
+  assert.equal(copyBuySol({ scale: 1, maxSol: 0.5 }, 2), 0.5);
+  assert.equal(copyBuySol({ scale: 0.0001 }, 2), 0);
+  assert.equal(copyBuySol({}, 0.3), 0.3);
+});
+
+test('applyLeaderTrade sells the fraction of its holding the leader sold', () => {
+  const copy = { wallet: 'W', leaderTokens: 0 };
+  assert.equal(applyLeaderTrade(copy, 'buy', 1000), 0);
+  assert.equal(applyLeaderTrade(copy, 'buy', 1000), 0);
+  assert.equal(applyLeaderTrade(copy, 'sell', 500), 0.25);
+  assert.equal(copy.leaderTokens, 1500);
+  // leaving dust behind counts as a full exit
+  assert.equal(applyLeaderTrade(copy, 'sell', 1490), 1);
+  assert.equal(applyLeaderTrade(copy, 'transfer', 10), 0);
+});
+
+test('a sell from a leader whose buys we never saw exits fully', () => {
+  const copy = { wallet: 'W' };
+  assert.equal(applyLeaderTrade(copy, 'sell', 10), 1);
+  assert.equal(copy.leaderTokens, 0);
+});
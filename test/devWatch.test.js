@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyWatchedTrade } from '../lib/devWatch.js';
+
+const sell = (wallet, tokenAmount) => ({ txType: 'sell', traderPublicKey: wallet, tokenAmount });
+
+test('applyWatchedTrade accumulates a watched wallet\'s sells until the threshold', () => {
+  const watch = [{ wallet: 'DEV', role: 'creator', baseTokens: 1000, soldTokens: 0 }];
+  assert.deepEqual(applyWatchedTrade(watch, sell('DEV', 200), 50), { changed: true, hit: null });
+  const r = applyWatchedTrade(watch, sell('DEV', 300), 50);
+  assert.equal(r.changed, true);
+  assert.deepEqual(r.hit, { wallet: 'DEV', role: 'creator', soldTokens: 500, baseTokens: 1000, soldPct: 50 });
+});
+
+test('applyWatchedTrade ignores buys, other wallets and wallets without a base', () => {
+  const watch = [{ wallet: 'DEV', role: 'creator', baseTokens: 1000, soldTokens: 0 }, { wallet: 'TOP', role: 'holder', baseTokens: 0, soldTokens: 0 }];
+  const none = { changed: false, hit: null };
+  assert.deepEqual(applyWatchedTrade(watch, { txType: 'buy', traderPublicKey: 'DEV', tokenAmount: 10 }, 50), none);
+  assert.deepEqual(applyWatchedTrade(watch, sell('OTHER', 900), 50), none);
+  assert.deepEqual(applyWatchedTrade(watch, sell('TOP', 900), 50), none);
+  assert.equal(watch[0].soldTokens, 0);
+});
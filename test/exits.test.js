@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BUILTIN_EXIT_PROFILES, instantiateExit, evaluateExit, loadExitProfiles, sellAmountRaw, carryExitState, resolveExitName } from '../lib/exits.js';
+import { createFeed } from '../lib/feed.js';
+
+const trade = (mint, side, priceSol) => ({ message: 'tokenTrade', mint, txType: side, priceSol, solAmount: 0.1, tokenAmount: 1000 });
+
+test('decay waits for a minute of feed history after a restart', () => {
+  let clock = 1_000_000;
+  const feed = createFeed({ now: () => clock });
+  const position = { exit: instantiateExit('SCALP-DECAY', BUILTIN_EXIT_PROFILES['SCALP-DECAY']) };
+  const opts = () => ({ pnlPct: 0, mark: 1e-8, metrics: feed.metrics('M'), now: clock, ageMs: 10 * 60_000 });
+
+  // First tick after restart: fresh bucket, buys1m = 0 — must not read as "buying dried up"
+  feed.ingest(trade('M', 'sell', 1e-8));
+  assert.equal(feed.metrics('M').buys1m, 0);
+  assert.equal(evaluateExit(position, opts()).exit, null);
+
+  // A full minute later with still no buys, decay applies
+  clock += 60_000;
+  feed.ingest(trade('M', 'sell', 1e-8));
+  assert.equal(evaluateExit(position, opts()).exit?.kind, 'decay');
+});
+
+test('an invalid profile in the profiles file fails loudly instead of being dropped', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'exits-')), 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify({ good: { slPct: 5, ladder: [] }, bad: { slPct: -1 }, after: { slPct: 2 } }));
+  assert.throws(() => loadExitProfiles(file), /profiles\.json: Exit profile bad/);
+  fs.writeFileSync(file, '{ nope');
+  assert.throws(() => loadExitProfiles(file), /not valid JSON/);
+  fs.writeFileSync(file, JSON.stringify({ custom: { slPct: 2, ladder: [{ atPct: 10, sellPct: 100 }] } }));
+  assert.ok(loadExitProfiles(file).CUSTOM);
+});
+
+test('sellAmountRaw sells to the basis point and everything at 1', () => {
+  assert.equal(sellAmountRaw(1_000_000n, 0.3333), 333_300n);
+  assert.equal(sellAmountRaw(1_000_000n, 1 / 3), 333_300n);
+  assert.equal(sellAmountRaw(1_000_000n, 1), 1_000_000n);
+  assert.equal(sellAmountRaw(999n, 0.5), 499n);
+});
+
+test('a ladder sells fractions of what is left, moves to breakeven and then trails', () => {
+  const position = { exit: instantiateExit('LADDER', BUILTIN_EXIT_PROFILES.LADDER) };
+  const step = (pnlPct, mark) => {
+    const r = evaluateExit(position, { pnlPct, mark });
+    position.exit.state = { ...r.state, ...(r.exit?.after || {}) };
+    return r.exit;
+  };
+  assert.equal(step(-1, 1.0), null);
+  const first = step(5, 1.05);
+  assert.deepEqual([first.kind, first.trigger, first.fraction], ['ladder', 'partial', 0.25]);
+  assert.equal(position.exit.state.stopPct, 0);
+  const second = step(10, 1.1);
+  assert.equal(second.fraction, 1 / 3);
+  assert.equal(position.exit.state.trailArmed, false);
+  assert.equal(step(12, 1.12), null); // trail arms after step 2, peak 1.12
+  assert.equal(position.exit.state.trailArmed, true);
+  assert.equal(step(8, 1.08)?.kind, 'trail'); // 3% off 1.12
+  assert.equal(step(0, 1.0)?.kind, 'breakeven');
+});
+
+test('the initial stop sells everything', () => {
+  const position = { exit: instantiateExit('SCALP', BUILTIN_EXIT_PROFILES.SCALP) };
+  const r = evaluateExit(position, { pnlPct: -1.5, mark: 0.985 });
+  assert.deepEqual([r.exit.kind, r.exit.fraction, r.exit.final], ['sl', 1, true]);
+});
+
+test('carryExitState keeps taken rungs, the amount sold and a breakeven stop', () => {
+  const prev = instantiateExit('LADDER', BUILTIN_EXIT_PROFILES.LADDER);
+  Object.assign(prev.state, { step: 2, soldPct: 50, stopPct: 0, peakMark: 1.2, trailArmed: true });
+  const scalp = instantiateExit('SCALP', BUILTIN_EXIT_PROFILES.SCALP);
+  assert.deepEqual(carryExitState(prev, scalp), {
+    ...scalp.state, step: 1, soldPct: 50, stopPct: 0, peakMark: 1.2, trailArmed: false, negSince: null
+  });
+  const trail = instantiateExit('TRAIL', BUILTIN_EXIT_PROFILES.TRAIL);
+  assert.equal(carryExitState(prev, trail).trailArmed, true);
+  assert.deepEqual(carryExitState(null, scalp), scalp.state);
+});
+
+test('resolveExitName matches case-insensitively and falls back on unknown names', () => {
+  assert.equal(resolveExitName('ladder', BUILTIN_EXIT_PROFILES, 'SCALP'), 'LADDER');
+  assert.equal(resolveExitName('nope', BUILTIN_EXIT_PROFILES, 'SCALP'), 'SCALP');
+  assert.equal(resolveExitName(null, BUILTIN_EXIT_PROFILES, 'SCALP'), 'SCALP');
+});
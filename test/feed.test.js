@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createFeed, pumpPriceSol, curveProgressPct } from '../lib/feed.js';
+
+const trade = (side, priceSol, solAmount, trader, extra = {}) =>
+  ({ message: 'tokenTrade', mint: 'M', txType: side, priceSol, solAmount, tokenAmount: 1000, traderPublicKey: trader, ...extra });
+
+test('price comes from curve reserves when the message has none', () => {
+  assert.equal(pumpPriceSol({ vSolInBondingCurve: 30, vTokensInBondingCurve: 1_000_000_000 }), 3e-8);
+  assert.equal(pumpPriceSol({ priceSol: 2e-8, vSolInBondingCurve: 30, vTokensInBondingCurve: 1 }), 2e-8);
+  assert.equal(curveProgressPct(1_073_000_000), 0);
+  assert.equal(curveProgressPct(279_900_000), 100);
+  assert.equal(curveProgressPct(0), null);
+});
+
+test('metrics: per-window flow, unique traders, VWAP and change', () => {
+  let clock = 0;
+  const feed = createFeed({ now: () => clock });
+  feed.ingest(trade('buy', 1e-8, 1, 'A'));
+  clock = 50_000;
+  feed.ingest(trade('buy', 2e-8, 1, 'A'));
+  feed.ingest(trade('buy', 2e-8, 2, 'B'));
+  feed.ingest(trade('sell', 2e-8, 1, 'C'));
+  clock = 55_000;
+
+  const m = feed.metrics('M');
+  assert.equal(m.priceNowSol, 2e-8);
+  assert.equal(m.observedMs, 55_000);
+  assert.equal(m.buys1m, 3);
+  assert.equal(m.buys15s, 2);
+  assert.equal(m.chg1m, 100);
+  assert.equal(m.buyVol1m, 4);
+  assert.equal(m.sellVol1m, 1);
+  assert.equal(m.netFlow1m, 3);
+  assert.equal(m.buySellRatio1m, 4);
+  assert.equal(m.buyers1m, 2);
+  assert.equal(m.sellers15s, 1);
+  assert.equal(m.maxBuy1m, 2);
+  assert.equal(m.vwap1m.toExponential(4), '1.8000e-8');
+  assert.equal(m.vwap15s, 2e-8);
+});
+
+test('the lifecycle follows the curve and the pool', () => {
+  const feed = createFeed({ now: () => 0 });
+  feed.ingest({ message: 'newToken', mint: 'M', traderPublicKey: 'DEV', vTokensInBondingCurve: 1_000_000_000 });
+  assert.equal(feed.byMint.get('M').phase, 'curve');
+  feed.ingest(trade('sell', 1e-8, 1, 'DEV', { vTokensInBondingCurve: 279_000_000 }));
+  assert.equal(feed.byMint.get('M').phase, 'migrating');
+  assert.equal(feed.byMint.get('M').creatorSold, true);
+  feed.ingest(trade('buy', 1e-8, 1, 'A', { pool: 'pump-amm' }));
+  assert.equal(feed.byMint.get('M').phase, 'migrated');
+});
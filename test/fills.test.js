@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { combineFills } from '../lib/fills.js';
+
+const fill = (signature, tokens, lamports) => ({
+  signature, slot: 1, blockTime: 1, decimals: 6,
+  tokenDeltaRaw: BigInt(-tokens * 1e6), solDeltaLamports: BigInt(lamports), feeLamports: 5000n, rentLamports: 0n
+});
+
+test('combineFills sums shard fills into one sell', () => {
+  const f = combineFills([fill('a', 1000, 995_000), fill('b', 1000, 995_000)]);
+  assert.equal(f.signature, 'a,b');
+  assert.equal(f.tokenDeltaRaw, -2_000_000_000n);
+  assert.equal(f.solDeltaLamports, 1_990_000n);
+  assert.equal(f.feeLamports, 10_000n);
+  assert.equal(f.priceSol, 0.000001);
+});
+
+test('combineFills is null when any slice is unreconciled', () => {
+  assert.equal(combineFills([fill('a', 1000, 995_000), null]), null);
+  assert.equal(combineFills([]), null);
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractImpactPct, curveBuyImpactPct, sizeShard, adaptiveSlippageBps } from '../lib/impact.js';
+
+// A fresh pump.fun curve: 30 virtual SOL against 1.073B virtual tokens.
+const curve = {
+  virtualSolReserves: 30_000_000_000n,
+  virtualTokenReserves: 1_073_000_000_000_000n,
+  realTokenReserves: 793_100_000_000_000n,
+  complete: false
+};
+
+test('impact is read in percent and grows with size on the curve', () => {
+  assert.equal(extractImpactPct({ priceImpactPct: '0.012' }), 1.2);
+  assert.ok(Number.isNaN(extractImpactPct({})));
+  const small = curveBuyImpactPct(curve, 100_000_000n);
+  const large = curveBuyImpactPct(curve, 3_000_000_000n);
+  assert.ok(small > 0 && small < 1, `small ${small}`);
+  assert.ok(large > 9 && large < 11, `large ${large}`);
+});
+
+test('sizeShard scales toward the target impact within the shard budget', () => {
+  const base = { remaining: 1, shardsLeft: 4, minShard: 0.05, target: 2 };
+  assert.equal(sizeShard({ ...base, quotedSize: 0.5, quotedImpact: 1 }), 0.5);
+  assert.equal(sizeShard({ ...base, quotedSize: 0.5, quotedImpact: 2.5 }), 0.4);
+  // never below remaining / shardsLeft
+  assert.equal(sizeShard({ ...base, quotedSize: 0.5, quotedImpact: 20 }), 0.25);
+  // the last shard or a dust tail takes everything
+  assert.equal(sizeShard({ ...base, shardsLeft: 1, quotedSize: 0.1, quotedImpact: 50 }), 1);
+  assert.equal(sizeShard({ ...base, quotedSize: 0.97, quotedImpact: 1 }), 1);
+  assert.equal(sizeShard({ ...base, quotedSize: 0.3, quotedImpact: NaN }), 0.3);
+});
+
+test('adaptiveSlippageBps adds the expected impact to the base, capped', () => {
+  assert.equal(adaptiveSlippageBps(1.2, 300, 2000), 420);
+  assert.equal(adaptiveSlippageBps(NaN, 300, 2000), 300);
+  assert.equal(adaptiveSlippageBps(-1, 300, 2000), 300);
+  assert.equal(adaptiveSlippageBps(40, 300, 2000), 2000);
+});
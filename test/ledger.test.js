@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createLedger, buildTrades, summarize } from '../lib/ledger.js';
+
+const ledgerFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-')), 'ledger.jsonl');
+
+test('openTradeId tracks the open trade per mint and survives a reload', () => {
+  const file = ledgerFile();
+  const ledger = createLedger(file);
+  ledger.append({ side: 'buy', tradeId: 'a', mint: 'M', solIn: 0.1 });
+  ledger.append({ side: 'sell', tradeId: 'a', mint: 'M', solOut: 0.05, final: false });
+  assert.equal(ledger.openTradeId('M'), 'a');
+  fs.appendFileSync(file, '{"side":"sell",'); // torn line from a crash
+  assert.equal(createLedger(file).openTradeId('M'), 'a');
+  ledger.append({ side: 'sell', tradeId: 'a', mint: 'M', solOut: 0.08, final: true });
+  assert.equal(ledger.openTradeId('M'), null);
+  assert.equal(createLedger(file).openTradeId('M'), null);
+});
+
+test('buildTrades pairs sells with their buy and summarize reports realized PnL', () => {
+  const trades = buildTrades([
+    { ts: '2026-01-01T00:00:00Z', side: 'buy', tradeId: 'a', mint: 'M', solIn: 0.1, source: 'autopilot' },
+    { ts: '2026-01-01T00:01:00Z', side: 'sell', tradeId: 'a', mint: 'M', solOut: 0.06 },
+    { ts: '2026-01-01T00:02:00Z', side: 'sell', tradeId: 'a', mint: 'M', solOut: 0.09, final: true },
+    { ts: '2026-01-01T00:00:00Z', side: 'buy', tradeId: 'b', mint: 'N', solIn: 0.1 },
+    { ts: '2026-01-01T00:03:00Z', side: 'sell', tradeId: 'b', mint: 'N', solOut: 0.07, final: true },
+    { ts: '2026-01-01T00:04:00Z', side: 'buy', tradeId: 'c', mint: 'O', solIn: 0.2 }
+  ]);
+  const a = trades.find(t => t.tradeId === 'a');
+  assert.equal(a.sells, 2);
+  assert.equal(a.source, 'autopilot');
+  assert.equal(a.pnlSol.toFixed(6), '0.050000');
+  assert.equal(a.holdMs, 120_000);
+  assert.equal(trades.find(t => t.tradeId === 'c').closedAt, null);
+
+  const s = summarize(trades);
+  assert.equal(s.count, 2);
+  assert.equal(s.pnlSol.toFixed(6), '0.020000');
+  assert.equal(s.winRate, 50);
+  assert.equal(s.best.tradeId, 'a');
+  assert.equal(s.worst.tradeId, 'b');
+});
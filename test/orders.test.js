@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCondition, conditionMet, limitDirection, limitTriggered, describeOrder } from '../lib/orders.js';
+
+test('parseCondition reads metric, operator and value', () => {
+  assert.deepEqual(parseCondition('chg1m>5'), { metric: 'chg1m', op: '>', value: 5 });
+  assert.deepEqual(parseCondition('buys30s >= 12'), { metric: 'buys30s', op: '>=', value: 12 });
+  assert.deepEqual(parseCondition('price<=2.1e-8'), { metric: 'price', op: '<=', value: 2.1e-8 });
+  assert.throws(() => parseCondition('chg2m>5'), /Unknown metric/);
+  assert.throws(() => parseCondition('price=1'), /Condition looks like/);
+});
+
+test('conditionMet compares against the metric and ignores missing ones', () => {
+  const m = { priceNowSol: 3e-8, chg1m: -2 };
+  assert.equal(conditionMet({ metric: 'price', op: '>=', value: 3e-8 }, m), true);
+  assert.equal(conditionMet({ metric: 'chg1m', op: '<', value: -5 }, m), false);
+  assert.equal(conditionMet({ metric: 'buys30s', op: '>', value: 0 }, m), false);
+  assert.equal(conditionMet({ metric: 'price', op: '>', value: 0 }, null), false);
+});
+
+test('limitDirection follows the current price, or the sign of a relative order', () => {
+  assert.equal(limitDirection(1e-8, 2e-8), 'below');
+  assert.equal(limitDirection(3e-8, 2e-8), 'above');
+  assert.equal(limitDirection(3e-8, 0), null);
+  assert.equal(limitDirection(3e-8, null, { relativePct: -10 }), 'below');
+  assert.equal(limitDirection(1e-8, 2e-8, { relativePct: 20 }), 'above');
+});
+
+test('limitTriggered fires on the crossing side and never without a direction', () => {
+  const below = { priceSol: 1e-8, dir: 'below' };
+  assert.equal(limitTriggered(below, 1.1e-8), false);
+  assert.equal(limitTriggered(below, 1e-8), true);
+  const above = { priceSol: 3e-8, dir: 'above' };
+  assert.equal(limitTriggered(above, 2.9e-8), false);
+  assert.equal(limitTriggered(above, 3.1e-8), true);
+  assert.equal(limitTriggered({ priceSol: 1e-8, dir: null }, 1e-9), false);
+  assert.equal(limitTriggered(below, 0), false);
+});
+
+test('describeOrder flags an order still waiting for its direction', () => {
+  const o = { id: 3, kind: 'limit', side: 'sell', mint: 'M', pct: 50, priceSol: 2e-8, dir: null };
+  assert.match(describeOrder(o), /SELL 50% of M at ~ .*\[direction set on first price\]/);
+  assert.match(describeOrder({ ...o, dir: 'above' }), /at ≥ 2\.0000e-8 SOL$/);
+});
@@ -0,0 +1,12 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createFillModel } from '../lib/paper.js';
+
+test('the fill model charges slippage and fees on both legs', () => {
+  const fills = createFillModel({ slippageBps: 100, feeBps: 100, txFeeSol: 0.0001 });
+  const raw = fills.buyRaw(1e-6, 0.1);
+  assert.equal(raw, 98_019_801_980n); // 0.099 SOL at 1.01e-6, 6 decimals
+  const back = Number(fills.sellLamports(1e-6, raw)) / 1e9;
+  assert.ok(back > 0.0959 && back < 0.0961, `back ${back}`);
+  assert.equal(fills.sellLamports(1e-12, 1n), 0n); // never negative after the tx fee
+});
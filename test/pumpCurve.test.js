@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeBondingCurve, quoteBuy, quoteSell, curvePriceSol } from '../lib/pumpCurve.js';
+
+function curveAccount({ vTokens, vSol, rTokens, rSol, supply, complete = false }) {
+  const buf = Buffer.alloc(49);
+  [vTokens, vSol, rTokens, rSol, supply].forEach((v, i) => buf.writeBigUInt64LE(v, 8 + i * 8));
+  buf[48] = complete ? 1 : 0;
+  return buf;
+}
+
+const fresh = {
+  vTokens: 1_073_000_000_000_000n, vSol: 30_000_000_000n,
+  rTokens: 793_100_000_000_000n, rSol: 0n, supply: 1_000_000_000_000_000n
+};
+
+test('decodeBondingCurve reads reserves and the complete flag', () => {
+  const c = decodeBondingCurve(curveAccount(fresh));
+  assert.equal(c.virtualSolReserves, 30_000_000_000n);
+  assert.equal(c.realTokenReserves, 793_100_000_000_000n);
+  assert.equal(c.complete, false);
+  assert.equal(c.creator, null);
+  assert.throws(() => decodeBondingCurve(Buffer.alloc(40)), /too short/);
+});
+
+test('curve quotes: spot price, buy then sell loses about the fees', () => {
+  const c = decodeBondingCurve(curveAccount(fresh));
+  assert.equal(curvePriceSol(c).toExponential(4), '2.7959e-8');
+  const out = quoteBuy(c, 1_000_000_000n);
+  const after = { ...c, virtualSolReserves: c.virtualSolReserves + 990_099_009n, virtualTokenReserves: c.virtualTokenReserves - out };
+  const back = quoteSell(after, out);
+  assert.ok(back > 975_000_000n && back < 981_000_000n, `back ${back}`);
+  assert.equal(quoteBuy({ ...c, complete: true }, 1_000_000_000n), 0n);
+  assert.equal(quoteSell(c, 0n), 0n);
+});
+
+test('quoteBuy is capped at the real token reserves', () => {
+  const c = decodeBondingCurve(curveAccount({ ...fresh, rTokens: 1_000_000n }));
+  assert.equal(quoteBuy(c, 1_000_000_000n), 1_000_000n);
+});
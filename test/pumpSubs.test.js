@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSubscriptionManager } from '../lib/pumpSubs.js';
+
+test('a reconnect re-sends every stream and key, batched', () => {
+  const sent = [];
+  const subs = createSubscriptionManager({ send: (p) => sent.push(p), now: () => 0 });
+  subs.onOpen(0);
+  subs.subscribeStream('subscribeNewToken');
+  subs.subscribeTokens(Array.from({ length: 150 }, (_, i) => `M${i}`));
+  subs.subscribeTokens(['M0']); // already tracked: nothing sent
+  subs.subscribeAccounts(['W']);
+  assert.equal(sent.length, 4);
+
+  sent.length = 0;
+  subs.onClose();
+  subs.onOpen(1000);
+  assert.equal(subs.stats.reconnects, 1);
+  assert.deepEqual(sent.map(p => [p.method, p.keys?.length]), [
+    ['subscribeNewToken', undefined],
+    ['subscribeTokenTrade', 100],
+    ['subscribeTokenTrade', 50],
+    ['subscribeAccountTrade', 1]
+  ]);
+});
+
+test('evictIdle drops quiet mints but keeps pinned ones', () => {
+  const sent = [];
+  let clock = 0;
+  const subs = createSubscriptionManager({ send: (p) => sent.push(p), now: () => clock, isPinned: (m) => m === 'HELD' });
+  subs.subscribeTokens(['QUIET', 'BUSY', 'HELD']);
+  clock = 10_000;
+  subs.onMessage('BUSY', clock, clock);
+  clock = 20_000;
+  assert.deepEqual(subs.evictIdle(15_000), ['QUIET']);
+  assert.deepEqual(sent.at(-1), { method: 'unsubscribeTokenTrade', keys: ['QUIET'] });
+  assert.deepEqual([...subs.tokens.keys()], ['BUSY', 'HELD']);
+  assert.equal(subs.stats.evicted, 1);
+});
+
+test('messageRate averages the last minute', () => {
+  const subs = createSubscriptionManager({ send: () => true });
+  for (let i = 0; i < 120; i++) subs.onMessage(null, 0, 1_000_000 + i * 500);
+  assert.equal(subs.messageRate(1_000_000 + 59_500), 2);
+  assert.equal(subs.messageRate(1_000_000 + 200_000), 0);
+});
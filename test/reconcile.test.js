@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffHoldings } from '../lib/reconcile.js';
+
+const WSOL = 'So11111111111111111111111111111111111111112';
+
+test('diffHoldings finds untracked holdings, phantom positions and closable empty accounts', () => {
+  const accounts = [
+    { mint: 'A', raw: 500n, frozen: false },
+    { mint: 'A', raw: 0n, frozen: false },
+    { mint: 'B', raw: 1000n, frozen: false },
+    { mint: 'F', raw: 0n, frozen: true },
+    { mint: WSOL, raw: 10n, frozen: false }
+  ];
+  const positions = { A: { mint: 'A', tradeId: 'a' }, C: { mint: 'C', tradeId: 'c' } };
+  const d = diffHoldings({ accounts, positions, skip: [WSOL] });
+  assert.deepEqual(d.untracked, [{ mint: 'B', raw: 1000n }]);
+  assert.deepEqual(d.phantom, ['C']);
+  assert.deepEqual(d.empty, [accounts[1]]);
+  assert.deepEqual(d.stale, []);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { riskFromEnv, exposureSol, checkBuy, checkTrips } from '../lib/risk.js';
+import { diffHoldings } from '../lib/reconcile.js';
+
+const cfg = () => ({ ...riskFromEnv({}), maxExposureSol: 0.2, minReserveSol: 0 });
+
+test('exposureSol counts positions net of partial sells', () => {
+  const positions = { A: { tradeId: 'a', entrySolSpent: 0.1, realizedSol: 0.04 } };
+  const trades = [{ tradeId: 'a', mint: 'A', solIn: 0.1, solOut: 0.04 }];
+  assert.equal(exposureSol(positions, trades).toFixed(6), '0.060000');
+});
+
+test('a plain /buy (open trade, no position) counts toward the cap', () => {
+  const trades = [{ tradeId: 'b', mint: 'B', solIn: 0.15, solOut: 0, openedAt: '2026-01-01T00:00:00Z' }];
+  assert.equal(exposureSol({}, trades), 0.15);
+  const r = checkBuy({ cfg: cfg(), positions: {}, trades, balanceSol: 10, amountSol: 0.1 });
+  assert.equal(r.ok, false);
+  assert.match(r.reason, /Exposure cap/);
+});
+
+test('an untracked trade with nothing left in the wallet is stale; once closed it frees exposure', () => {
+  const now = Date.parse('2026-01-02T00:00:00Z');
+  const trades = [
+    { tradeId: 'b', mint: 'B', solIn: 0.15, solOut: 0, openedAt: '2026-01-01T00:00:00Z' },
+    { tradeId: 'c', mint: 'C', solIn: 0.05, solOut: 0, openedAt: '2026-01-01T00:00:00Z' },
+    { tradeId: 'd', mint: 'D', solIn: 0.05, solOut: 0, openedAt: new Date(now - 5_000).toISOString() }
+  ];
+  const accounts = [
+    { mint: 'B', raw: 0n, frozen: false },
+    { mint: 'C', raw: 123n, frozen: false }
+  ];
+  const { stale } = diffHoldings({ accounts, positions: {}, trades, now });
+  assert.deepEqual(stale.map(t => t.tradeId), ['b']); // C is still held, D is within the grace period
+
+  // The reconcile pass ledgers a final sell for it — buildTrades then reports it closed
+  const closed = trades.map(t => t.tradeId === 'b' ? { ...t, closedAt: '2026-01-02T00:00:00Z', pnlSol: -0.15 } : t);
+  assert.equal(exposureSol({}, closed).toFixed(6), '0.100000');
+  assert.equal(checkBuy({ cfg: cfg(), positions: {}, trades: closed, balanceSol: 10, amountSol: 0.1 }).ok, true);
+});
+
+test('checkBuy is a no-op when risk is disabled', () => {
+  assert.equal(checkBuy({ cfg: { ...cfg(), enabled: false }, positions: {}, trades: [], amountSol: 99 }).ok, true);
+});
+
+test('the daily loss limit and a loss streak pause trading', () => {
+  const now = Date.parse('2026-01-02T12:00:00Z');
+  const closed = (pnlSol, at) => ({ tradeId: at, closedAt: at, pnlSol });
+  const losses = [closed(-0.05, '2026-01-02T10:00:00Z'), closed(-0.06, '2026-01-02T11:00:00Z')];
+  const daily = checkTrips({ cfg: { ...cfg(), dailyLossLimitSol: 0.1, maxConsecLosses: 0 }, trades: losses, now });
+  assert.match(daily.reason, /Daily loss limit/);
+  assert.equal(daily.pausedUntil, Date.parse('2026-01-03T00:00:00Z'));
+
+  const streakCfg = { ...cfg(), dailyLossLimitSol: 0, maxConsecLosses: 2, pauseMin: 30, streakResetAt: 0 };
+  assert.equal(checkTrips({ cfg: streakCfg, trades: losses, now }).pausedUntil, now + 30 * 60_000);
+  const recovered = [...losses, closed(0.01, '2026-01-02T11:30:00Z')];
+  assert.equal(checkTrips({ cfg: streakCfg, trades: recovered, now }), null);
+  // /risk reset moves streakResetAt past the losses
+  assert.equal(checkTrips({ cfg: { ...streakCfg, streakResetAt: now }, trades: losses, now }), null);
+});
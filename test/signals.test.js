@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { gatesFromEnv, passesGates, largestBuyPct } from '../lib/signals.js';
+
+const hot = {
+  priceNowSol: 3e-8,
+  buys15s: 4, chg15s: 1, buys30s: 6, chg30s: 2, buys1m: 10, chg1m: 3, buys5m: 25, chg5m: 6,
+  buyVol1m: 5, maxBuy1m: 1, netFlow1m: 3, buyers1m: 8, buySellRatio1m: 2.5, priceVsVwap1m: 1,
+  curveProgressPct: 40, mcapSol: 60
+};
+
+test('passesGates takes a hot mint and rejects on any momentum gate', () => {
+  const cfg = gatesFromEnv({});
+  assert.equal(passesGates(hot, cfg), true);
+  assert.equal(passesGates({ ...hot, buys5m: 19 }, cfg), false);
+  assert.equal(passesGates({ ...hot, chg15s: 0.5 }, cfg), false);
+  assert.equal(passesGates({ ...hot, priceNowSol: 0 }, cfg), false);
+});
+
+test('flow and curve gates are off at 0 and fail on unknown values when set', () => {
+  const cfg = gatesFromEnv({ AUTOPILOT_MAX_1M_LARGEST_BUY_PCT: '30', AUTOPILOT_MAX_CURVE_PROGRESS_PCT: '80' });
+  assert.equal(largestBuyPct(hot), 20);
+  assert.equal(passesGates(hot, cfg), true);
+  assert.equal(passesGates({ ...hot, maxBuy1m: 2 }, cfg), false);
+  assert.equal(passesGates({ ...hot, curveProgressPct: null }, cfg), false);
+  assert.equal(passesGates({ ...hot, curveProgressPct: null }, gatesFromEnv({})), true);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStore, createIdempotency } from '../lib/store.js';
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+
+test('a legacy file is migrated forward and settled as the current version', () => {
+  const file = path.join(tmpDir(), 'positions.json');
+  fs.writeFileSync(file, JSON.stringify({ A: { amount: 1 } }));
+  const store = createStore(file, { version: 2, migrations: {
+    1: (d) => ({ ...d, v1: true }),
+    2: (d) => ({ ...d, v2: true })
+  } });
+  assert.deepEqual(store.load(), { A: { amount: 1 }, v1: true, v2: true });
+  const onDisk = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  assert.equal(onDisk.schemaVersion, 2);
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('a file from a newer bot or a corrupt file throws instead of loading empty', () => {
+  const dir = tmpDir();
+  const newer = path.join(dir, 'newer.json');
+  fs.writeFileSync(newer, JSON.stringify({ schemaVersion: 3, data: {} }));
+  assert.throws(() => createStore(newer).load(), /newer than this bot/);
+
+  const corrupt = path.join(dir, 'corrupt.json');
+  fs.writeFileSync(corrupt, '{"A":');
+  assert.throws(() => createStore(corrupt).load(), /is corrupt/);
+  assert.ok(fs.readdirSync(dir).some(f => f.startsWith('corrupt.json.corrupt-')));
+});
+
+test('a missing file loads the fallback; a save round-trips', () => {
+  const file = path.join(tmpDir(), 'orders.json');
+  const store = createStore(file, { fallback: () => ({ nextId: 1, list: [] }) });
+  assert.deepEqual(store.load(), { nextId: 1, list: [] });
+  store.save({ nextId: 2, list: [{ id: 1 }] });
+  assert.deepEqual(createStore(file).load(), { nextId: 2, list: [{ id: 1 }] });
+});
+
+test('idempotency keys survive a restart and a torn last line', () => {
+  const file = path.join(tmpDir(), 'idempotency.jsonl');
+  const idem = createIdempotency(file);
+  assert.equal(idem.begin('1:10'), true);
+  assert.equal(idem.begin('1:10'), false);
+  idem.finish('1:10', 'done');
+  assert.equal(idem.begin('1:11'), true);
+  fs.appendFileSync(file, '{"key":"1:12","at":');
+
+  const again = createIdempotency(file);
+  assert.equal(again.keys['1:10'].status, 'done');
+  assert.equal(again.keys['1:11'].status, 'pending');
+  assert.equal(again.begin('1:10'), false);
+  assert.equal(again.begin('1:12'), true);
+});
+
+test('the idempotency log is compacted and drops expired keys', () => {
+  const file = path.join(tmpDir(), 'idempotency.jsonl');
+  let t = 0;
+  const idem = createIdempotency(file, { ttlMs: 100, max: 3, now: () => t });
+  for (let i = 0; i < 10; i++) { t = i * 10; idem.begin(`k${i}`); }
+  const lines = fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+  assert.ok(lines.length <= 6, `log has ${lines.length} lines`);
+  t = 1000;
+  assert.deepEqual(Object.keys(createIdempotency(file, { ttlMs: 100, max: 3, now: () => t }).keys), []);
+});
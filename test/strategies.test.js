@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadStrategies } from '../lib/strategies.js';
+
+test('reload re-imports only strategy files whose mtime changed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-'));
+  const write = (f, score) => fs.writeFileSync(path.join(dir, f),
+    `export default { name: '${path.basename(f, '.js')}', evaluate: () => ({ accept: true, score: ${score} }) };\n`);
+  write('a.js', 1);
+  write('b.js', 1);
+  const first = await loadStrategies(dir);
+
+  write('b.js', 2);
+  const later = new Date(Date.now() + 5_000);
+  fs.utimesSync(path.join(dir, 'b.js'), later, later);
+  const second = await loadStrategies(dir);
+
+  assert.equal(second.get('a').evaluate, first.get('a').evaluate);
+  assert.notEqual(second.get('b').evaluate, first.get('b').evaluate);
+  assert.equal(second.get('b').evaluate().score, 2);
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyTxError, escalateSlippage, txFromEnv, TX_SLIPPAGE, TX_INSUFFICIENT_FUNDS, TX_EXPIRED, TX_FAILED } from '../lib/txSender.js';
+
+test('classifyTxError sorts send errors, program logs and status objects', () => {
+  const withLogs = Object.assign(new Error('Simulation failed'), { logs: ['Program log: Error: TooLittleSolReceived'] });
+  assert.equal(classifyTxError(withLogs), TX_SLIPPAGE);
+  assert.equal(classifyTxError({ InstructionError: [2, { Custom: 6001 }] }), TX_SLIPPAGE);
+  assert.equal(classifyTxError(new Error('custom program error: 0x1')), TX_INSUFFICIENT_FUNDS);
+  assert.equal(classifyTxError({ InstructionError: [0, { Custom: 1 }] }), TX_INSUFFICIENT_FUNDS);
+  assert.equal(classifyTxError(new Error('block height exceeded')), TX_EXPIRED);
+  assert.equal(classifyTxError('Blockhash not found'), TX_EXPIRED);
+  assert.equal(classifyTxError({ InstructionError: [0, { Custom: 6017 }] }), TX_FAILED);
+});
+
+test('escalateSlippage adds half the base per retry, capped', () => {
+  assert.equal(escalateSlippage(400, 0), 400);
+  assert.equal(escalateSlippage(400, 2), 800);
+  assert.equal(escalateSlippage(400, 5, 1000), 1000);
+});
+
+test('txFromEnv reads the fee clamps and timeouts', () => {
+  const cfg = txFromEnv({ PRIORITY_FEE_DYNAMIC: 'false', TX_CONFIRM_TIMEOUT_SEC: '30' });
+  assert.equal(cfg.dynamicFees, false);
+  assert.equal(cfg.confirmTimeoutMs, 30_000);
+  assert.equal(cfg.maxFeeSol, 0.002);
+});